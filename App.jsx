@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   User, 
   Lock, 
@@ -15,166 +15,2037 @@ import {
   Frown,
   Meh,
   List,
+  Sparkles,
+  RefreshCw,
+  Package,
+  Archive,
+  Pencil,
+  Trash2,
+  Filter,
+  X,
+  Download,
+  Upload,
+  Flag,
+  EyeOff,
+  RotateCcw,
+  ShieldAlert,
+  Cpu,
+  AlertTriangle,
+  Globe,
 } from 'lucide-react';
 
-// --- CONFIGURATION CONSTANTS (Used for In-Memory Mock) ---
-const MAX_USERS = 50;
-const MAX_REVIEWS_PER_USER = 30;
-const ADMIN_USERNAME = 'admin';
-const ADMIN_PASSWORD = 'admin';
+// --- CONFIGURATION CONSTANTS ---
+const DEFAULT_REVIEW_LIMITS = { perUser: 30, perProduct: 5, perHour: 10 }; // Replaced by the server's configured limits (api/_lib/limits.js) after login
+const MIN_PASSWORD_LENGTH = 8; // Must match api/users.js
+const STAFF_ROLES = ['viewer', 'moderator', 'admin']; // Roles that may open the dashboard (see api/_lib/permissions.js)
 const DUMMY_APP_ID = 'mycox-mock-insights'; // Placeholder ID
 
-const productList = [
-    { id: 1, name: 'MyCox Connect Pro', description: 'Real-time state sharing service' },
-    { id: 2, name: 'MyCox Edge Functions', description: 'Serverless compute engine' },
-    { id: 3, name: 'MyCox Global CDN', description: 'Global content delivery network' },
-    { id: 4, name: 'MyCox Deploy System', description: 'Continuous integration system' },
-];
-
 const ageRanges = ['<18', '18-24', '25-34', '35-44', '45-54', '55+'];
 const regions = ['NA', 'EU', 'AP', 'LATAM'];
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+const UNPUBLISHED_STATUSES = ['pending', 'hidden']; // Review statuses kept out of public lists (see api/_lib/moderation.js)
 
-// --- CRYPTOGRAPHIC HASHING FUNCTION (Kept for User ID simulation) ---
-// This function simulates the server generating a unique, anonymous ID.
-const hashPII = async (name, email) => {
-    const piiString = `${name.toLowerCase().trim()}:${email.toLowerCase().trim()}`;
-    const encoder = new TextEncoder();
-    const data = encoder.encode(piiString);
-    try {
-        // Use a simple, fast non-cryptographic hash for environments without secure context, or SHA-256 if available.
-        const hashBuffer = await (crypto.subtle?.digest('SHA-256', data) ?? new Promise(resolve => {
-            let hash = 0;
-            for (let i = 0; i < piiString.length; i++) {
-                hash = ((hash << 5) - hash) + piiString.charCodeAt(i);
-                hash |= 0; // Convert to 32bit integer
+// --- DATA UTILITIES ---
+
+// Sentiment and Rating Icons
+const getSentimentIcon = (sentiment) => {
+    switch (sentiment) {
+        case 'Positive': return <Smile className="w-4 h-4 text-green-500" />;
+        case 'Neutral': return <Meh className="w-4 h-4 text-yellow-500" />;
+        case 'Negative': return <Frown className="w-4 h-4 text-red-500" />;
+        default: return <Meh className="w-4 h-4 text-gray-500" />;
+    }
+};
+
+// Star-rating heuristic, used as the fallback when AI classification is unavailable (mirrors api/_lib/sentiment.js)
+const getRatingSentiment = (rating) => rating >= 4 ? 'Positive' : rating <= 2 ? 'Negative' : 'Neutral';
+
+// True when the model read the review text differently from what its star rating implies
+const hasSentimentMismatch = (review) => review.sentiment_source === 'model' && review.sentiment !== getRatingSentiment(review.rating);
+
+const getRatingStars = (rating) => {
+    return Array(5).fill(0).map((_, i) => (
+        <Star 
+            key={i} 
+            className={`w-4 h-4 ${i < rating ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} 
+        />
+    ));
+};
+
+// --- API CLIENT ---
+
+// Thin wrapper around the serverless routes in /api. Throws with the server's error message on non-2xx responses.
+const apiRequest = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        // Quota and rate-limit errors carry a machine-readable code (see api/_lib/limits.js)
+        error.code = data.code;
+        error.retryAfter = data.retryAfter;
+        throw error;
+    }
+    return data;
+};
+
+// Codes whose responses carry a retryAfter wait in seconds (see api/_lib/limits.js and api/_lib/ai/upstream.js)
+const RETRY_LATER_CODES = ['RATE_LIMITED', 'AI_BUDGET_EXCEEDED', 'UPSTREAM_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE'];
+
+const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second(s)`;
+    if (seconds < 2 * 60 * 60) return `${Math.ceil(seconds / 60)} minute(s)`;
+    return `${Math.ceil(seconds / 3600)} hour(s)`;
+};
+
+// Adds the wait time to rate-limit errors so forms can show when to try again
+const describeApiError = (error, fallback) => {
+    if (!error.status) return fallback;
+    if (RETRY_LATER_CODES.includes(error.code) && error.retryAfter) {
+        return `${error.message} You can try again in about ${formatWait(error.retryAfter)}.`;
+    }
+    return error.message;
+};
+
+// --- DASHBOARD FILTERS ---
+
+const RATING_OPTIONS = [1, 2, 3, 4, 5];
+
+// Multi-select filters share the same URL encoding: a comma-separated list per query parameter
+const MULTI_FILTER_PARAMS = { products: 'product', regions: 'region', ages: 'age', sentiments: 'sentiment', ratings: 'rating' };
+
+const EMPTY_FILTERS = { products: [], regions: [], ages: [], sentiments: [], ratings: [], from: '', to: '', includeHidden: false };
+
+const parseFiltersFromUrl = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...EMPTY_FILTERS };
+    Object.entries(MULTI_FILTER_PARAMS).forEach(([key, param]) => {
+        const values = (params.get(param) || '').split(',').filter(Boolean);
+        filters[key] = key === 'ratings' ? values.map(Number).filter(r => RATING_OPTIONS.includes(r)) : values;
+    });
+    filters.from = params.get('from') || '';
+    filters.to = params.get('to') || '';
+    filters.includeHidden = params.get('hidden') === '1';
+    return filters;
+};
+
+// Returns the query string for the filters, keeping any unrelated parameters already in the URL
+const serializeFiltersToUrl = (filters, search) => {
+    const params = new URLSearchParams(search);
+    Object.entries(MULTI_FILTER_PARAMS).forEach(([key, param]) => {
+        if (filters[key].length > 0) params.set(param, filters[key].join(','));
+        else params.delete(param);
+    });
+    ['from', 'to'].forEach(key => {
+        if (filters[key]) params.set(key, filters[key]);
+        else params.delete(key);
+    });
+    if (filters.includeHidden) params.set('hidden', '1');
+    else params.delete('hidden');
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+const hasActiveFilters = (filters) => Object.values(filters).some(value => (Array.isArray(value) ? value.length > 0 : !!value));
+
+// Date bounds are inclusive UTC days, like the server-side filters behind trends and exports (api/_lib/reviewFilters.js)
+const applyReviewFilters = (reviews, filters) => {
+    const from = filters.from ? new Date(`${filters.from}T00:00:00Z`) : null;
+    const to = filters.to ? new Date(`${filters.to}T23:59:59.999Z`) : null;
+    return reviews.filter(r => {
+        // Hidden and held-back reviews stay out of the numbers unless asked for
+        if (!filters.includeHidden && UNPUBLISHED_STATUSES.includes(r.status)) return false;
+        if (filters.products.length > 0 && !filters.products.includes(r.product_id)) return false;
+        if (filters.regions.length > 0 && !filters.regions.includes(r.region)) return false;
+        if (filters.ages.length > 0 && !filters.ages.includes(r.age_range)) return false;
+        if (filters.sentiments.length > 0 && !filters.sentiments.includes(r.sentiment)) return false;
+        if (filters.ratings.length > 0 && !filters.ratings.includes(r.rating)) return false;
+        const postedAt = new Date(r.timestamp);
+        if (from && postedAt < from) return false;
+        if (to && postedAt > to) return false;
+        return true;
+    });
+};
+
+// Server-side trend aggregation for the current filters. Re-fetches when the review set changes.
+const useTrends = (filters, bucket, reviews) => {
+    const [trends, setTrends] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const params = new URLSearchParams(serializeFiltersToUrl(filters, ''));
+        params.set('bucket', bucket);
+        apiRequest(`/api/trends?${params.toString()}`)
+            .then(data => {
+                if (cancelled) return;
+                setTrends(data);
+                setError(null);
+            })
+            .catch(e => {
+                if (cancelled) return;
+                console.error("Failed to load trends:", e);
+                setError(e.message || 'Could not load trends.');
+            });
+        return () => { cancelled = true; };
+    }, [filters, bucket, reviews]);
+
+    return { trends, error };
+};
+
+// Filter state mirrored into the URL so a dashboard view can be shared as a link
+const useUrlFilters = () => {
+    const [filters, setFilters] = useState(() => parseFiltersFromUrl(window.location.search));
+
+    useEffect(() => {
+        const query = serializeFiltersToUrl(filters, window.location.search);
+        window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }, [filters]);
+
+    return [filters, setFilters];
+};
+
+// --- STREAMING GENERATION HOOK ---
+
+// Streams a /api/generate response (stream: true) and exposes the partial text as it arrives.
+// body must name a prompt template that allows streaming ({ templateId, userPrompt }).
+// start(body) begins a new stream (cancelling any in-flight one); cancel() aborts it and keeps the text so far.
+const useStreamingGeneration = () => {
+    const [text, setText] = useState('');
+    const [sources, setSources] = useState([]);
+    const [citations, setCitations] = useState([]);
+    const [isStreaming, setIsStreaming] = useState(false);
+    const [error, setError] = useState(null);
+    const controllerRef = useRef(null);
+
+    const cancel = useCallback(() => {
+        controllerRef.current?.abort();
+        controllerRef.current = null;
+        setIsStreaming(false);
+    }, []);
+
+    const start = useCallback(async (body) => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+
+        setText('');
+        setSources([]);
+        setCitations([]);
+        setError(null);
+        setIsStreaming(true);
+
+        let fullText = '';
+        try {
+            const response = await fetch('/api/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...body, stream: true }),
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                // Same error shape as apiRequest, so describeApiError can add the wait time
+                const data = await response.json().catch(() => ({}));
+                const error = new Error(data.error || `Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.code = data.code;
+                error.retryAfter = data.retryAfter;
+                throw error;
+            }
+
+            // Parse the Server-Sent Events relayed by the proxy
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const rawEvent = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+
+                    const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+                    const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || '{}');
+                    if (event === 'chunk') {
+                        fullText += data.text;
+                        setText(fullText);
+                    } else if (event === 'done') {
+                        setSources(data.sources || []);
+                        setCitations(data.citations || []);
+                    } else if (event === 'error') {
+                        throw new Error(data.error);
+                    }
+                }
+            }
+        } catch (e) {
+            if (controller.signal.aborted) return fullText;
+            console.error("Streaming generation failed:", e);
+            setError(describeApiError(e, e.message || 'Streaming failed.'));
+        } finally {
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setIsStreaming(false);
             }
-            resolve(new TextEncoder().encode(hash.toString()).buffer);
-        }));
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        return fullText;
+    }, []);
+
+    // Abort any open stream when the component using the hook unmounts
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return { text, sources, citations, isStreaming, error, start, cancel };
+};
+
+// --- AI INSIGHTS SUMMARY ---
+
+// Upper bound on reviews sent in one summary request (newest first) to keep the prompt size predictable
+const MAX_INSIGHT_REVIEWS = 200;
+// Long reviews are shortened so more of them fit in one prompt
+const MAX_INSIGHT_TEXT_CHARS = 300;
+// Must match maxPromptChars of the review-insights and review-query-answer templates (see api/_lib/promptTemplates.js)
+const MAX_INSIGHT_PROMPT_CHARS = 80000;
+const MAX_QUERY_ANSWER_PROMPT_CHARS = 60000;
+
+// Keeps the leading entries (the newest reviews) whose JSON array fits in maxChars; the rest are dropped
+const fitPromptEntries = (entries, maxChars) => {
+    const fitted = [];
+    let length = 2; // []
+    for (const entry of entries) {
+        length += JSON.stringify(entry).length + (fitted.length > 0 ? 1 : 0);
+        if (length > maxChars) break;
+        fitted.push(entry);
+    }
+    return fitted;
+};
+
+// Identifies a set of reviews by content, so cached insights are reused only for identical data
+const getReviewSnapshotKey = async (reviews) => {
+    const fingerprint = reviews.map(r => `${r.id}:${r.rating}:${r.timestamp}`).sort().join('|');
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(fingerprint));
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const getInsightsCacheKey = (snapshotKey) => `${DUMMY_APP_ID}:insights:${snapshotKey}`;
+
+const readCachedInsights = (snapshotKey) => {
+    try {
+        return JSON.parse(localStorage.getItem(getInsightsCacheKey(snapshotKey)));
+    } catch (e) {
+        return null;
+    }
+};
+
+const writeCachedInsights = (snapshotKey, insights) => {
+    try {
+        localStorage.setItem(getInsightsCacheKey(snapshotKey), JSON.stringify(insights));
     } catch (e) {
-        // Fallback for extreme compatibility (simple string hash)
-        console.error("Crypto API failed. Using simple string hash.", e);
-        return piiString.split('').reduce((a, b) => {a = ((a << 5) - a) + b.charCodeAt(0); return a & a;}, 0).toString(16).replace('-', '0');
+        console.warn("Could not cache insights:", e);
     }
 };
 
-// --- DATA UTILITIES ---
+// Asks the model for a per-product summary of the given reviews. Citations to unknown ids are dropped.
+const generateReviewInsights = async (reviews) => {
+    const sample = [...reviews]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, MAX_INSIGHT_REVIEWS);
+    const payload = fitPromptEntries(sample.map(r => ({
+        id: r.id,
+        product: r.product_name,
+        rating: r.rating,
+        text: r.review_text.slice(0, MAX_INSIGHT_TEXT_CHARS),
+        region: r.region,
+        age: r.age_range,
+    })), MAX_INSIGHT_PROMPT_CHARS);
+
+    const { json } = await apiRequest('/api/generate', {
+        method: 'POST',
+        body: {
+            templateId: 'review-insights',
+            userPrompt: JSON.stringify(payload),
+        },
+    });
+
+    const knownIds = new Set(payload.map(r => r.id));
+    const keepKnownCitations = points => points.map(point => ({ ...point, reviewIds: point.reviewIds.filter(id => knownIds.has(id)) }));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        reviewCount: payload.length,
+        products: json.products.map(p => ({
+            ...p,
+            topComplaints: keepKnownCitations(p.topComplaints),
+            topPraise: keepKnownCitations(p.topPraise),
+            suggestedActions: keepKnownCitations(p.suggestedActions),
+        })),
+    };
+};
+
+// --- NATURAL-LANGUAGE REVIEW QUERY ---
+
+// Must fit the review-query-filter template's prompt cap together with the product names (see api/_lib/promptTemplates.js)
+const MAX_QUERY_QUESTION_CHARS = 500;
+// Upper bound on matching reviews (newest first) sent with the question for an answer
+const MAX_QUERY_REVIEWS = 100;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Turns a question into dashboard filters plus keywords: { filters, keywords, unknownProducts }.
+// Product names are mapped to catalog ids; names the catalog does not have are reported rather than silently dropped.
+const interpretReviewQuestion = async (question, products) => {
+    const { json } = await apiRequest('/api/generate', {
+        method: 'POST',
+        body: {
+            templateId: 'review-query-filter',
+            userPrompt: JSON.stringify({ question, today: new Date().toISOString().slice(0, 10), products: products.map(p => p.name) }),
+        },
+    });
+
+    const productIdsByName = new Map(products.map(p => [p.name.trim().toLowerCase(), p.id]));
+    const productIds = [];
+    const unknownProducts = [];
+    json.products.forEach(name => {
+        const id = productIdsByName.get(name.trim().toLowerCase());
+        if (id) productIds.push(id);
+        else unknownProducts.push(name);
+    });
+
+    return {
+        filters: {
+            ...EMPTY_FILTERS,
+            products: Array.from(new Set(productIds)),
+            regions: Array.from(new Set(json.regions)),
+            ages: Array.from(new Set(json.ages)),
+            ratings: Array.from(new Set(json.ratings)).sort((a, b) => a - b),
+            sentiments: Array.from(new Set(json.sentiments)),
+            from: ISO_DATE_PATTERN.test(json.from) ? json.from : '',
+            to: ISO_DATE_PATTERN.test(json.to) ? json.to : '',
+        },
+        keywords: Array.from(new Set(json.keywords.map(k => k.trim().toLowerCase()).filter(Boolean))),
+        unknownProducts,
+    };
+};
+
+// Reviews matching the interpreted filters whose text contains any of the keywords (all of them when there are none)
+const applyReviewQuery = (reviews, { filters, keywords }) => applyReviewFilters(reviews, filters)
+    .filter(r => keywords.length === 0 || keywords.some(keyword => r.review_text.toLowerCase().includes(keyword)));
+
+// Answers the question from the given reviews only. Citations to ids that were not sent are dropped.
+const answerReviewQuestion = async (question, reviews) => {
+    const sample = [...reviews]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, MAX_QUERY_REVIEWS);
+    const payload = fitPromptEntries(sample.map(r => ({
+        id: r.id,
+        product: r.product_name,
+        rating: r.rating,
+        sentiment: r.sentiment,
+        region: r.region,
+        age: r.age_range,
+        date: r.timestamp.slice(0, 10),
+        text: r.review_text.slice(0, MAX_INSIGHT_TEXT_CHARS),
+    })), MAX_QUERY_ANSWER_PROMPT_CHARS - JSON.stringify({ question, reviews: [] }).length);
+
+    const { json } = await apiRequest('/api/generate', {
+        method: 'POST',
+        body: {
+            templateId: 'review-query-answer',
+            userPrompt: JSON.stringify({ question, reviews: payload }),
+        },
+    });
+
+    const knownIds = new Set(payload.map(r => r.id));
+    return {
+        reviewCount: payload.length,
+        summary: json.summary,
+        points: json.points.map(point => ({ ...point, reviewIds: point.reviewIds.filter(id => knownIds.has(id)) })),
+    };
+};
+
+
+// --- Sub Components ---
+
+const REPORT_REASONS = [
+    { value: 'spam', label: 'Spam' },
+    { value: 'abuse', label: 'Abusive or hateful' },
+    { value: 'off-topic', label: 'Off-topic' },
+    { value: 'personal-info', label: 'Shares personal information' },
+    { value: 'other', label: 'Something else' },
+]; // Must match api/_lib/moderation.js
+
+// `onReport(reviewId, reason)` is optional; without it the card is read-only
+const ReviewCard = React.memo(({ review, onReport }) => {
+    const [reportState, setReportState] = useState('idle'); // 'idle', 'choosing', 'sending', 'sent'
+    const [reportReason, setReportReason] = useState(REPORT_REASONS[0].value);
+    const [reportError, setReportError] = useState(null);
+
+    const handleReport = async () => {
+        setReportState('sending');
+        setReportError(null);
+        try {
+            await onReport(review.id, reportReason);
+            setReportState('sent');
+        } catch (e) {
+            // Reporting twice is not an error from the user's point of view
+            if (e.status === 409) {
+                setReportState('sent');
+                return;
+            }
+            setReportError(e.message || 'Could not send the report.');
+            setReportState('choosing');
+        }
+    };
+
+    return (
+        <div className="p-4 bg-white border border-gray-100 rounded-xl shadow-sm hover:shadow-md transition duration-200">
+            <div className="flex justify-between items-start mb-2">
+                <div className="flex items-center space-x-2">
+                    <span className="text-lg font-semibold text-gray-800">{review.product_name}</span>
+                    <span className="text-xs font-medium text-gray-500 bg-gray-100 px-2 py-0.5 rounded-full flex items-center">
+                        {getSentimentIcon(review.sentiment)}
+                        <span className="ml-1">{review.sentiment}</span>
+                    </span>
+                    {review.status === 'pending' && (
+                        <span className="text-xs font-medium text-orange-700 bg-orange-100 px-2 py-0.5 rounded-full">Awaiting moderation</span>
+                    )}
+                </div>
+                <div className="flex">
+                    {getRatingStars(review.rating)}
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 italic">"{review.review_text.length > 120 ? review.review_text.substring(0, 120) + '...' : review.review_text}"</p>
+            <div className="mt-2 text-xs text-gray-400 flex justify-between">
+                <span>Posted: {new Date(review.timestamp).toLocaleDateString() || 'N/A'}</span>
+                <span className="flex items-center space-x-2">
+                    <span className='flex items-center'><MapPin className='w-3 h-3 mr-0.5' />{review.region}</span>
+                    <span className='flex items-center'><Calendar className='w-3 h-3 mr-0.5' />{review.age_range}</span>
+                    {onReport && reportState === 'idle' && (
+                        <button onClick={() => setReportState('choosing')} title="Report this review" className="flex items-center text-gray-400 hover:text-red-500">
+                            <Flag className="w-3 h-3 mr-0.5" /> Report
+                        </button>
+                    )}
+                    {reportState === 'sent' && <span className="text-red-400">Reported</span>}
+                </span>
+            </div>
+            {(reportState === 'choosing' || reportState === 'sending') && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                    <select value={reportReason} onChange={(e) => setReportReason(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+                        {REPORT_REASONS.map(reason => <option key={reason.value} value={reason.value}>{reason.label}</option>)}
+                    </select>
+                    <button onClick={handleReport} disabled={reportState === 'sending'} className="px-2 py-1 rounded-lg text-white bg-red-500 hover:bg-red-600 disabled:opacity-50">
+                        {reportState === 'sending' ? 'Sending...' : 'Send report'}
+                    </button>
+                    <button onClick={() => setReportState('idle')} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                    {reportError && <span className="text-red-600">{reportError}</span>}
+                </div>
+            )}
+        </div>
+    );
+});
+
+
+// Review id chips for a cited point; hovering one shows the review's text
+const ReviewCitations = React.memo(({ ids, reviewTextById }) => (
+    <span className="ml-1">
+        {ids.map(id => (
+            <span key={id} title={reviewTextById.get(id)} className="inline-block text-[10px] font-mono text-indigo-500 bg-indigo-50 px-1 rounded mr-1">
+                #{id.substring(0, 8)}
+            </span>
+        ))}
+    </span>
+));
+
+const InsightPointList = React.memo(({ title, points, field, color, reviewTextById }) => (
+    <div>
+        <p className={`text-xs font-semibold uppercase mb-1 ${color}`}>{title}</p>
+        {points.length === 0 ? (
+            <p className="text-xs text-gray-400">None reported.</p>
+        ) : (
+            <ul className="list-disc list-inside space-y-1">
+                {points.map((point, i) => (
+                    <li key={i} className="text-sm text-gray-700">{point[field]}<ReviewCitations ids={point.reviewIds} reviewTextById={reviewTextById} /></li>
+                ))}
+            </ul>
+        )}
+    </div>
+));
+
+const InsightsPanel = React.memo(({ reviews }) => {
+    const [snapshotKey, setSnapshotKey] = useState(null);
+    const [insights, setInsights] = useState(null);
+    const [isCached, setIsCached] = useState(false);
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Recompute the snapshot key whenever the review set changes and pick up any cached result for it
+    useEffect(() => {
+        let cancelled = false;
+        getReviewSnapshotKey(reviews).then(key => {
+            if (cancelled) return;
+            const cached = readCachedInsights(key);
+            setSnapshotKey(key);
+            setInsights(cached);
+            setIsCached(!!cached);
+            setError(null);
+        });
+        return () => { cancelled = true; };
+    }, [reviews]);
+
+    const reviewTextById = useMemo(() => new Map(reviews.map(r => [r.id, r.review_text])), [reviews]);
+
+    const handleGenerate = async () => {
+        if (!snapshotKey || isGenerating) return;
+        setIsGenerating(true);
+        setError(null);
+        try {
+            const result = await generateReviewInsights(reviews);
+            writeCachedInsights(snapshotKey, result);
+            setInsights(result);
+            setIsCached(false);
+        } catch (e) {
+            console.error("Insights generation failed:", e);
+            setError(describeApiError(e, 'Could not generate insights.'));
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <Sparkles className="w-5 h-5 mr-2 text-indigo-500" /> AI Executive Summary
+                </h3>
+                <button
+                    onClick={handleGenerate}
+                    disabled={!snapshotKey || isGenerating || reviews.length === 0}
+                    className="flex items-center text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-3 py-2 rounded-lg transition duration-150 disabled:opacity-50"
+                >
+                    {isGenerating ? (
+                        <Loader2 className="w-4 h-4 animate-spin mr-1" />
+                    ) : insights ? (
+                        <RefreshCw className="w-4 h-4 mr-1" />
+                    ) : (
+                        <Sparkles className="w-4 h-4 mr-1" />
+                    )}
+                    {isGenerating ? 'Generating...' : insights ? 'Regenerate' : 'Generate insights'}
+                </button>
+            </div>
+
+            {error && <div className="p-3 mb-4 rounded-lg text-sm bg-red-100 text-red-700">{error}</div>}
+
+            {!insights ? (
+                <p className="text-sm text-gray-500">
+                    Summarize top complaints, praise and suggested actions for each product from up to {Math.min(reviews.length, MAX_INSIGHT_REVIEWS)} of the most recent reviews (as many as fit in one request).
+                </p>
+            ) : (
+                <div className="space-y-6">
+                    <p className="text-xs text-gray-400">
+                        Based on {insights.reviewCount} reviews, generated {new Date(insights.generatedAt).toLocaleString()}{isCached && ' (cached for this data snapshot)'}.
+                    </p>
+                    {insights.products.map(p => (
+                        <div key={p.product} className="border-t pt-4">
+                            <p className="text-lg font-semibold text-gray-800 mb-2">{p.product}</p>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <InsightPointList title="Top Complaints" points={p.topComplaints} field="summary" color="text-red-500" reviewTextById={reviewTextById} />
+                                <InsightPointList title="Top Praise" points={p.topPraise} field="summary" color="text-green-600" reviewTextById={reviewTextById} />
+                                <InsightPointList title="Suggested Actions" points={p.suggestedActions} field="action" color="text-indigo-600" reviewTextById={reviewTextById} />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+});
+
+
+// Human-readable constraints of an interpreted query, e.g. ['Region: EU', 'Age: 25-34']
+const describeReviewQuery = ({ filters, keywords }, products) => {
+    const productName = id => products.find(p => p.id === id)?.name || id;
+    return [
+        filters.products.length > 0 && `Product: ${filters.products.map(productName).join(', ')}`,
+        filters.regions.length > 0 && `Region: ${filters.regions.join(', ')}`,
+        filters.ages.length > 0 && `Age: ${filters.ages.join(', ')}`,
+        filters.ratings.length > 0 && `Rating: ${filters.ratings.map(r => `${r}★`).join(', ')}`,
+        filters.sentiments.length > 0 && `Sentiment: ${filters.sentiments.join(', ')}`,
+        filters.from && `From: ${filters.from}`,
+        filters.to && `To: ${filters.to}`,
+        keywords.length > 0 && `Mentions: ${keywords.map(k => `"${k}"`).join(' or ')}`,
+    ].filter(Boolean);
+};
+
+// Ask-box: question -> interpreted filter (confirmed by the admin) -> answer from the matching reviews only
+const ReviewQueryPanel = React.memo(({ reviews, products }) => {
+    const [question, setQuestion] = useState('');
+    const [query, setQuery] = useState(null);
+    const [answer, setAnswer] = useState(null);
+    const [isInterpreting, setIsInterpreting] = useState(false);
+    const [isAnswering, setIsAnswering] = useState(false);
+    const [error, setError] = useState(null);
+
+    const matchingReviews = useMemo(() => (query ? applyReviewQuery(reviews, query) : []), [reviews, query]);
+    const reviewTextById = useMemo(() => new Map(reviews.map(r => [r.id, r.review_text])), [reviews]);
+
+    const handleInterpret = async (e) => {
+        e.preventDefault();
+        const trimmed = question.trim();
+        if (!trimmed || isInterpreting) return;
+        setIsInterpreting(true);
+        setError(null);
+        setQuery(null);
+        setAnswer(null);
+        try {
+            const interpreted = await interpretReviewQuestion(trimmed, products);
+            setQuery({ question: trimmed, ...interpreted });
+        } catch (e) {
+            console.error("Question interpretation failed:", e);
+            setError(describeApiError(e, 'Could not interpret the question.'));
+        } finally {
+            setIsInterpreting(false);
+        }
+    };
+
+    const handleRun = async () => {
+        if (!query || isAnswering) return;
+        // Nothing to answer from, so no model call
+        if (matchingReviews.length === 0) {
+            setAnswer({ question: query.question, matchCount: 0, reviewCount: 0, summary: 'No reviews match this filter.', points: [] });
+            return;
+        }
+        setIsAnswering(true);
+        setError(null);
+        try {
+            const result = await answerReviewQuestion(query.question, matchingReviews);
+            setAnswer({ question: query.question, matchCount: matchingReviews.length, ...result });
+            setQuery(null);
+        } catch (e) {
+            console.error("Review query answer failed:", e);
+            setError(describeApiError(e, 'Could not answer the question.'));
+        } finally {
+            setIsAnswering(false);
+        }
+    };
+
+    const constraints = query ? describeReviewQuery(query, products) : [];
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                <Search className="w-5 h-5 mr-2 text-indigo-500" /> Ask the Reviews
+            </h3>
+
+            <form onSubmit={handleInterpret} className="flex space-x-2">
+                <input
+                    type="text"
+                    placeholder="e.g. What are EU users aged 25-34 saying about the docs?"
+                    value={question}
+                    maxLength={MAX_QUERY_QUESTION_CHARS}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                    type="submit"
+                    disabled={!question.trim() || isInterpreting || isAnswering}
+                    className="flex items-center text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-3 py-2 rounded-lg disabled:opacity-50"
+                >
+                    {isInterpreting ? <Loader2 className="w-4 h-4 animate-spin mr-1" /> : <Sparkles className="w-4 h-4 mr-1" />}
+                    {isInterpreting ? 'Interpreting...' : 'Ask'}
+                </button>
+            </form>
+
+            {error && <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">{error}</div>}
+
+            {/* Interpreted filter, shown for confirmation before anything is sent for an answer */}
+            {query && (
+                <div className="p-4 rounded-lg bg-indigo-50 space-y-3">
+                    <p className="text-xs font-semibold uppercase text-indigo-600 flex items-center">
+                        <Filter className="w-3 h-3 mr-1" /> Interpreted filter
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {constraints.length === 0 ? (
+                            <span className="text-xs text-gray-600">All published reviews</span>
+                        ) : (
+                            constraints.map(label => (
+                                <span key={label} className="text-xs text-indigo-700 bg-white border border-indigo-200 px-2 py-1 rounded-full">{label}</span>
+                            ))
+                        )}
+                    </div>
+                    {query.unknownProducts.length > 0 && (
+                        <p className="text-xs text-yellow-700">Not in the product catalog and ignored: {query.unknownProducts.join(', ')}</p>
+                    )}
+                    <div className="flex items-center space-x-3">
+                        <button
+                            onClick={handleRun}
+                            disabled={isAnswering}
+                            className="flex items-center text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-3 py-2 rounded-lg disabled:opacity-50"
+                        >
+                            {isAnswering && <Loader2 className="w-4 h-4 animate-spin mr-1" />}
+                            {isAnswering ? 'Answering...' : `Run on ${matchingReviews.length} matching review(s)`}
+                        </button>
+                        <button onClick={() => setQuery(null)} disabled={isAnswering} className="text-sm text-gray-500 hover:text-gray-700">Discard</button>
+                    </div>
+                    {matchingReviews.length > MAX_QUERY_REVIEWS && (
+                        <p className="text-xs text-gray-500">Only the most recent matches (up to {MAX_QUERY_REVIEWS}) are used for the answer.</p>
+                    )}
+                </div>
+            )}
+
+            {answer && (
+                <div className="space-y-3">
+                    <p className="text-xs text-gray-400">
+                        Q: {answer.question} &middot; Answered from {answer.reviewCount} of {answer.matchCount} matching review(s).
+                    </p>
+                    <p className="text-sm text-gray-800">{answer.summary}</p>
+                    {answer.points.length > 0 && (
+                        <ul className="list-disc list-inside space-y-1">
+                            {answer.points.map((point, i) => (
+                                <li key={i} className="text-sm text-gray-700">
+                                    {point.statement}
+                                    <ReviewCitations ids={point.reviewIds} reviewTextById={reviewTextById} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {!query && !answer && (
+                <p className="text-sm text-gray-500">
+                    Ask a question in plain language. It is turned into a filter you can check first, and the answer uses only the reviews that match.
+                </p>
+            )}
+        </div>
+    );
+});
+
+
+const EMPTY_PRODUCT_FORM = { name: '', description: '', category: '' };
+
+const ProductManager = React.memo(({ products, reviews, onProductSaved, onProductDeleted }) => {
+    const [form, setForm] = useState(EMPTY_PRODUCT_FORM);
+    const [editingId, setEditingId] = useState(null); // null = creating a new product
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const reviewCounts = useMemo(() => {
+        const counts = {};
+        reviews.forEach(r => { counts[r.product_id] = (counts[r.product_id] || 0) + 1; });
+        return counts;
+    }, [reviews]);
+
+    const resetForm = () => {
+        setForm(EMPTY_PRODUCT_FORM);
+        setEditingId(null);
+    };
+
+    // Runs a catalog request and reports failures in the panel
+    const runAction = async (action, successText) => {
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            await action();
+            setMessage({ type: 'success', text: successText });
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Product update failed.' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!form.name.trim() || isSaving) return;
+        runAction(async () => {
+            const { product } = editingId
+                ? await apiRequest(`/api/products?id=${encodeURIComponent(editingId)}`, { method: 'PATCH', body: form })
+                : await apiRequest('/api/products', { method: 'POST', body: form });
+            onProductSaved(product);
+            resetForm();
+        }, editingId ? 'Product updated.' : 'Product created.');
+    };
+
+    const handleToggleArchived = (product) => runAction(async () => {
+        const { product: updated } = await apiRequest(`/api/products?id=${encodeURIComponent(product.id)}`, { method: 'PATCH', body: { archived: !product.archived } });
+        onProductSaved(updated);
+    }, product.archived ? `${product.name} restored.` : `${product.name} archived.`);
+
+    const handleDelete = (product) => runAction(async () => {
+        await apiRequest(`/api/products?id=${encodeURIComponent(product.id)}`, { method: 'DELETE' });
+        onProductDeleted(product.id);
+        if (editingId === product.id) resetForm();
+    }, `${product.name} deleted.`);
+
+    const startEditing = (product) => {
+        setEditingId(product.id);
+        setForm({ name: product.name, description: product.description, category: product.category });
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 flex items-center">
+                <Package className="w-5 h-5 mr-2 text-indigo-500" /> Product Catalog ({products.length})
+            </h3>
+
+            {message && (
+                <div className={`p-3 mb-4 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="space-y-2 mb-6">
+                {products.map(product => (
+                    <div key={product.id} className={`p-3 border rounded-lg flex justify-between items-center ${product.archived ? 'bg-gray-50 opacity-70' : ''}`}>
+                        <div>
+                            <p className="text-sm font-medium text-gray-800">
+                                {product.name}
+                                {product.archived && <span className="ml-2 text-xs text-gray-500 bg-gray-200 px-2 py-0.5 rounded-full">Archived</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {product.category || 'Uncategorized'} &middot; {product.description || 'No description'} &middot; {reviewCounts[product.id] || 0} reviews
+                            </p>
+                        </div>
+                        <div className="flex space-x-2">
+                            <button onClick={() => startEditing(product)} disabled={isSaving} title="Edit" className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-50">
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => handleToggleArchived(product)} disabled={isSaving} title={product.archived ? 'Restore' : 'Archive'} className="p-2 text-gray-500 hover:text-yellow-600 disabled:opacity-50">
+                                <Archive className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => handleDelete(product)} disabled={isSaving || reviewCounts[product.id] > 0} title={reviewCounts[product.id] > 0 ? 'Products with reviews can only be archived' : 'Delete'} className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30">
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <input
+                    type="text"
+                    placeholder="Product name"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                    type="text"
+                    placeholder="Description"
+                    value={form.description}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                    type="text"
+                    placeholder="Category"
+                    value={form.category}
+                    onChange={(e) => setForm({ ...form, category: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <div className="flex space-x-2">
+                    <button
+                        type="submit"
+                        disabled={!form.name.trim() || isSaving}
+                        className="flex-1 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-3 py-2 rounded-lg disabled:opacity-50"
+                    >
+                        {editingId ? 'Save Changes' : 'Add Product'}
+                    </button>
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="text-sm text-gray-500 hover:text-gray-700 px-2">Cancel</button>
+                    )}
+                </div>
+            </form>
+        </div>
+    );
+});
+
+
+const IMPORT_FIELDS = ['product_name', 'rating', 'review_text', 'age_range', 'region', 'timestamp']; // Must match api/import.js
+const MAX_REPORTED_ROWS = 50;
+
+// Admin bulk import: every file change or mapping change re-runs a server-side dry run, and the
+// import itself is only offered once the dry run reports no invalid rows
+const ImportPanel = React.memo(({ onReviewsImported }) => {
+    const [file, setFile] = useState(null); // { name, format, content }
+    const [mapping, setMapping] = useState({});
+    const [report, setReport] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const runImport = useCallback(async (selectedFile, fieldMapping, dryRun) => {
+        setIsWorking(true);
+        setMessage(null);
+        try {
+            const result = await apiRequest('/api/import', {
+                method: 'POST',
+                body: { format: selectedFile.format, content: selectedFile.content, filename: selectedFile.name, mapping: fieldMapping, dryRun },
+            });
+            setReport(result);
+            setMapping(result.mapping);
+            if (!dryRun) {
+                setMessage({ type: 'success', text: `Imported ${result.imported} reviews from ${selectedFile.name}${result.held > 0 ? `; ${result.held} held for moderation` : ''}.` });
+                setFile(null);
+                setReport(null);
+                onReviewsImported();
+            }
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Import failed.' });
+        } finally {
+            setIsWorking(false);
+        }
+    }, [onReviewsImported]);
+
+    const handleFileChange = async (e) => {
+        const selected = e.target.files[0];
+        e.target.value = '';
+        if (!selected) return;
+        const format = selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        const loaded = { name: selected.name, format, content: await selected.text() };
+        setFile(loaded);
+        setMapping({});
+        setReport(null);
+        runImport(loaded, {}, true);
+    };
+
+    const handleMappingChange = (field, column) => {
+        // An empty column falls back to the server's automatic match on the next dry run
+        const next = { ...mapping, [field]: column || undefined };
+        setMapping(next);
+        runImport(file, next, true);
+    };
+
+    const canImport = report && report.invalid === 0 && report.valid > 0 && !isWorking;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+            <h3 className="text-xl font-semibold mb-1 text-gray-800 flex items-center">
+                <Upload className="w-5 h-5 mr-2 text-indigo-500" /> Import Reviews
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Load historical feedback from a CSV (with a header row) or a JSON array. Columns: {IMPORT_FIELDS.join(', ')}.
+            </p>
+
+            {message && (
+                <div className={`p-3 mb-4 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="flex items-center space-x-3 mb-4">
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} disabled={isWorking} className="text-sm" />
+                {isWorking && <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />}
+            </div>
+
+            {file && report && (
+                <div className="space-y-4">
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {IMPORT_FIELDS.map(field => (
+                            <label key={field} className="text-xs text-gray-600">
+                                {field}
+                                <select
+                                    value={mapping[field] || ''}
+                                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                                    disabled={isWorking}
+                                    className={`mt-1 w-full p-2 border rounded-lg text-sm ${mapping[field] ? 'border-gray-300' : 'border-red-400'}`}
+                                >
+                                    <option value="">Not mapped</option>
+                                    {report.columns.map(column => <option key={column} value={column}>{column}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+
+                    <p className="text-sm text-gray-700">
+                        Dry run of <span className="font-semibold">{file.name}</span>: {report.valid} of {report.total} rows valid
+                        {report.invalid > 0 && <span className="text-red-600">, {report.invalid} with errors</span>}.
+                        {report.held > 0 && <span className="text-yellow-700"> {report.held} will be held for moderation.</span>}
+                    </p>
+
+                    {report.rowErrors.length > 0 && (
+                        <div className="max-h-64 overflow-y-auto border rounded-lg">
+                            <table className="w-full text-xs">
+                                <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                                    <tr>
+                                        <th className="text-left p-2 w-16">Row</th>
+                                        <th className="text-left p-2">Errors</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.rowErrors.slice(0, MAX_REPORTED_ROWS).map(({ row, errors }) => (
+                                        <tr key={row} className="border-t">
+                                            <td className="p-2 text-gray-700 align-top">{row}</td>
+                                            <td className="p-2 text-red-600">{errors.join(' ')}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {report.rowErrors.length > MAX_REPORTED_ROWS && (
+                                <p className="p-2 text-xs text-gray-500">...and {report.rowErrors.length - MAX_REPORTED_ROWS} more rows with errors.</p>
+                            )}
+                        </div>
+                    )}
+
+                    <button
+                        onClick={() => runImport(file, mapping, false)}
+                        disabled={!canImport}
+                        className="text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-4 py-2 rounded-lg disabled:opacity-50"
+                    >
+                        Import {report.valid} Reviews
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+});
+
+
+const MODERATION_ROLES = ['moderator', 'admin']; // Roles with reviews:moderate (see api/_lib/permissions.js)
+
+const MODERATION_ACTION_LABELS = { screen: 'Held by screening', report: 'Reported', flag: 'Flagged', hide: 'Hidden', restore: 'Restored', delete: 'Deleted' };
+
+const STATUS_BADGE_CLASSES = { flagged: 'bg-yellow-100 text-yellow-700', pending: 'bg-orange-100 text-orange-700', hidden: 'bg-gray-200 text-gray-600' };
+
+// Users and the screening step act anonymously in the audit trail
+const describeActor = (entry) => (entry.actorRole === 'user' ? 'a user' : entry.actorRole === 'system' ? 'automatic screening' : entry.actor);
+
+const moderateReview = (reviewId, action, reason) => apiRequest('/api/moderation', { method: 'POST', body: { reviewId, action, reason } });
+
+const StatusBadge = ({ status }) => (status && status !== 'visible' ? (
+    <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${STATUS_BADGE_CLASSES[status]}`}>{status}</span>
+) : null);
+
+// Flagged, hidden and reported reviews with the actions a moderator can take on them.
+// Reloads whenever the review list changes, since actions elsewhere on the dashboard can add entries.
+const ModerationQueue = React.memo(({ reviews, onReviewModerated }) => {
+    const [queue, setQueue] = useState([]);
+    const [log, setLog] = useState([]);
+    const [reasons, setReasons] = useState({}); // reviewId -> reason typed by the moderator
+    const [busyId, setBusyId] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [showLog, setShowLog] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadQueue = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const data = await apiRequest('/api/moderation');
+            setQueue(data.queue);
+            setLog(data.log);
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Could not load the moderation queue.' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { loadQueue(); }, [loadQueue, reviews]);
+
+    const handleAction = async (item, action) => {
+        const reason = (reasons[item.id] || '').trim();
+        if (!reason) {
+            setMessage({ type: 'error', text: 'Enter a reason before taking an action.' });
+            return;
+        }
+        setBusyId(item.id);
+        setMessage(null);
+        try {
+            const { review } = await moderateReview(item.id, action, reason);
+            setReasons(prev => ({ ...prev, [item.id]: '' }));
+            setMessage({ type: 'success', text: `Review ${MODERATION_ACTION_LABELS[action].toLowerCase()}.` });
+            onReviewModerated(item.id, review);
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Moderation action failed.' });
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <ShieldAlert className="w-5 h-5 mr-2 text-red-500" /> Moderation Queue ({queue.length})
+                </h3>
+                <button onClick={loadQueue} disabled={isLoading} title="Refresh" className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-50">
+                    <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            {message && (
+                <div className={`p-3 mb-4 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {queue.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing to review. Flagged, hidden and reported reviews show up here.</p>
+            ) : (
+                <div className="space-y-3">
+                    {queue.map(item => (
+                        <div key={item.id} className="p-3 border rounded-lg">
+                            <p className="text-sm font-medium text-gray-700">
+                                {item.product_name} | Rating: {item.rating}
+                                <StatusBadge status={item.status} />
+                            </p>
+                            <p className="text-xs text-gray-600 italic my-1">"{item.review_text}"</p>
+                            {item.screening?.flags.length > 0 && (
+                                <p className="text-xs text-orange-600">
+                                    Screening: {item.screening.flags.join(', ')}{item.screening.toxicity !== null && ` (toxicity ${item.screening.toxicity.toFixed(2)})`}
+                                </p>
+                            )}
+                            {item.openReports.length > 0 && (
+                                <p className="text-xs text-red-600">
+                                    {item.openReports.length} open report{item.openReports.length === 1 ? '' : 's'}: {item.openReports.map(report => report.details ? `${report.reason} (${report.details})` : report.reason).join(', ')}
+                                </p>
+                            )}
+                            {item.history.length > 0 && (
+                                <p className="text-xs text-gray-400">
+                                    Last: {MODERATION_ACTION_LABELS[item.history[0].action]} by {describeActor(item.history[0])} on {new Date(item.history[0].createdAt).toLocaleString()}
+                                </p>
+                            )}
+                            <div className="mt-2 flex flex-wrap items-center gap-2">
+                                <input
+                                    type="text"
+                                    placeholder="Reason (required)"
+                                    value={reasons[item.id] || ''}
+                                    onChange={(e) => setReasons(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                    className="flex-1 min-w-[12rem] p-1 border border-gray-300 rounded-lg text-xs"
+                                />
+                                {item.status === 'visible' && (
+                                    <button onClick={() => handleAction(item, 'flag')} disabled={busyId === item.id} className="text-xs px-2 py-1 rounded-lg border text-yellow-700 hover:bg-yellow-50 disabled:opacity-50 flex items-center">
+                                        <Flag className="w-3 h-3 mr-1" /> Flag
+                                    </button>
+                                )}
+                                {item.status !== 'hidden' && (
+                                    <button onClick={() => handleAction(item, 'hide')} disabled={busyId === item.id} className="text-xs px-2 py-1 rounded-lg border text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center">
+                                        <EyeOff className="w-3 h-3 mr-1" /> Hide
+                                    </button>
+                                )}
+                                <button onClick={() => handleAction(item, 'restore')} disabled={busyId === item.id} className="text-xs px-2 py-1 rounded-lg border text-green-700 hover:bg-green-50 disabled:opacity-50 flex items-center">
+                                    <RotateCcw className="w-3 h-3 mr-1" /> {item.status === 'pending' ? 'Approve' : 'Restore'}
+                                </button>
+                                <button onClick={() => handleAction(item, 'delete')} disabled={busyId === item.id} className="text-xs px-2 py-1 rounded-lg border text-red-700 hover:bg-red-50 disabled:opacity-50 flex items-center">
+                                    <Trash2 className="w-3 h-3 mr-1" /> Delete
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <button onClick={() => setShowLog(prev => !prev)} className="mt-4 text-xs text-indigo-600 hover:text-indigo-800">
+                {showLog ? 'Hide audit trail' : `Show audit trail (${log.length})`}
+            </button>
+            {showLog && (
+                <div className="mt-2 max-h-64 overflow-y-auto space-y-1">
+                    {log.map(entry => (
+                        <p key={entry.id} className="text-xs text-gray-600">
+                            <span className="text-gray-400">{new Date(entry.createdAt).toLocaleString()}</span>{' '}
+                            <span className="font-semibold">{MODERATION_ACTION_LABELS[entry.action]}</span> by {describeActor(entry)}
+                            {' '}&middot; {entry.reason} &middot; "{entry.excerpt}"
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+});
+
+
+const FilterChip = ({ label, active, onClick }) => (
+    <button
+        type="button"
+        onClick={onClick}
+        className={`text-xs font-medium px-2 py-1 rounded-full border transition duration-150 ${active ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-600 border-gray-300 hover:border-indigo-400'}`}
+    >
+        {label}
+    </button>
+);
+
+const FilterBar = React.memo(({ filters, setFilters, products }) => {
+    const toggleValue = (key, value) => setFilters(prev => ({
+        ...prev,
+        [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+
+    const groups = [
+        { key: 'products', label: 'Product', options: products.map(p => ({ value: p.id, label: p.name })) },
+        { key: 'regions', label: 'Region', options: regions.map(r => ({ value: r, label: r })) },
+        { key: 'ages', label: 'Age', options: ageRanges.map(a => ({ value: a, label: a })) },
+        { key: 'sentiments', label: 'Sentiment', options: SENTIMENTS.map(s => ({ value: s, label: s })) },
+        { key: 'ratings', label: 'Rating', options: RATING_OPTIONS.map(r => ({ value: r, label: `${r}★` })) },
+    ];
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-lg border space-y-3">
+            <div className="flex justify-between items-center">
+                <p className="text-sm font-semibold text-gray-700 flex items-center"><Filter className="w-4 h-4 mr-1" /> Filters</p>
+                {hasActiveFilters(filters) && (
+                    <button onClick={() => setFilters(EMPTY_FILTERS)} className="text-xs text-red-500 hover:text-red-700 flex items-center">
+                        <X className="w-3 h-3 mr-0.5" /> Clear all
+                    </button>
+                )}
+            </div>
+            {groups.map(group => (
+                <div key={group.key} className="flex flex-wrap items-center gap-2">
+                    <span className="text-xs text-gray-500 w-20">{group.label}</span>
+                    {group.options.map(option => (
+                        <FilterChip
+                            key={option.value}
+                            label={option.label}
+                            active={filters[group.key].includes(option.value)}
+                            onClick={() => toggleValue(group.key, option.value)}
+                        />
+                    ))}
+                </div>
+            ))}
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500 w-20" title="Whole days in UTC">Date (UTC)</span>
+                <input
+                    type="date"
+                    value={filters.from}
+                    max={filters.to || undefined}
+                    onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+                    className="text-xs p-1 border border-gray-300 rounded-lg"
+                />
+                <span className="text-xs text-gray-400">to</span>
+                <input
+                    type="date"
+                    value={filters.to}
+                    min={filters.from || undefined}
+                    onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+                    className="text-xs p-1 border border-gray-300 rounded-lg"
+                />
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500 w-20">Moderation</span>
+                <FilterChip
+                    label="Include hidden & pending reviews"
+                    active={filters.includeHidden}
+                    onClick={() => setFilters(prev => ({ ...prev, includeHidden: !prev.includeHidden }))}
+                />
+            </div>
+        </div>
+    );
+});
+
+
+const TREND_BUCKETS = [
+    { value: 'day', label: 'Daily' },
+    { value: 'week', label: 'Weekly' },
+    { value: 'month', label: 'Monthly' },
+];
+
+const SENTIMENT_COLORS = { Positive: '#10b981', Neutral: '#f59e0b', Negative: '#ef4444' };
+
+const formatBucketLabel = (start, bucket) => {
+    const date = new Date(start);
+    return bucket === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+};
+
+// Minimal SVG chart: 'bars' for volume, 'line' for average rating, 'stacked' for sentiment mix
+const TrendChart = ({ series, type, bucket, height = 120 }) => {
+    const width = 600;
+    const barWidth = width / Math.max(series.length, 1);
+    const maxCount = Math.max(1, ...series.map(point => point.count));
+
+    const linePoints = series
+        .map((point, i) => point.avgRating == null ? null : `${i * barWidth + barWidth / 2},${height - ((point.avgRating - 1) / 4) * (height - 10) - 5}`)
+        .filter(Boolean)
+        .join(' ');
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full" preserveAspectRatio="none" style={{ height }}>
+                {type === 'bars' && series.map((point, i) => {
+                    const barHeight = (point.count / maxCount) * (height - 5);
+                    return (
+                        <rect key={point.start} x={i * barWidth + 2} y={height - barHeight} width={Math.max(barWidth - 4, 1)} height={barHeight} fill="#6366f1">
+                            <title>{`${formatBucketLabel(point.start, bucket)}: ${point.count} reviews`}</title>
+                        </rect>
+                    );
+                })}
+                {type === 'line' && (
+                    <>
+                        <polyline points={linePoints} fill="none" stroke="#f59e0b" strokeWidth="2" />
+                        {series.map((point, i) => point.avgRating != null && (
+                            <circle key={point.start} cx={i * barWidth + barWidth / 2} cy={height - ((point.avgRating - 1) / 4) * (height - 10) - 5} r="3" fill="#f59e0b">
+                                <title>{`${formatBucketLabel(point.start, bucket)}: ${point.avgRating} avg`}</title>
+                            </circle>
+                        ))}
+                    </>
+                )}
+                {type === 'stacked' && series.map((point, i) => {
+                    let offset = height;
+                    return SENTIMENTS.map(sentiment => {
+                        const segment = point.count > 0 ? (point.sentiment[sentiment] / point.count) * height : 0;
+                        offset -= segment;
+                        return (
+                            <rect key={`${point.start}-${sentiment}`} x={i * barWidth + 2} y={offset} width={Math.max(barWidth - 4, 1)} height={segment} fill={SENTIMENT_COLORS[sentiment]}>
+                                <title>{`${formatBucketLabel(point.start, bucket)}: ${point.sentiment[sentiment]} ${sentiment}`}</title>
+                            </rect>
+                        );
+                    });
+                })}
+            </svg>
+            <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+                <span>{series.length > 0 && formatBucketLabel(series[0].start, bucket)}</span>
+                <span>{series.length > 1 && formatBucketLabel(series[series.length - 1].start, bucket)}</span>
+            </div>
+        </div>
+    );
+};
+
+const TrendsPanel = React.memo(({ trends, error, bucket, setBucket }) => {
+    const [productId, setProductId] = useState('all');
+
+    // Fall back to the overall series when the selected product drops out of the filtered data
+    const selected = trends?.byProduct.find(p => p.productId === productId);
+    const series = selected ? selected.series : trends?.series || [];
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-800">Trends</h3>
+                <div className="flex space-x-2">
+                    <select value={selected ? productId : 'all'} onChange={(e) => setProductId(e.target.value)} className="text-sm p-1 border border-gray-300 rounded-lg">
+                        <option value="all">All products</option>
+                        {(trends?.byProduct || []).map(p => <option key={p.productId} value={p.productId}>{p.name}</option>)}
+                    </select>
+                    <select value={bucket} onChange={(e) => setBucket(e.target.value)} className="text-sm p-1 border border-gray-300 rounded-lg">
+                        {TREND_BUCKETS.map(b => <option key={b.value} value={b.value}>{b.label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {error && <div className="p-3 mb-4 rounded-lg text-sm bg-red-100 text-red-700">{error}</div>}
+
+            {!trends ? (
+                <div className="flex justify-center py-6"><Loader2 className="w-6 h-6 animate-spin text-indigo-600" /></div>
+            ) : (
+                <>
+                    <p className="text-xs text-gray-400 mb-4">
+                        {new Date(trends.period.from).toLocaleDateString(undefined, { timeZone: 'UTC' })} &ndash; {new Date(trends.period.to).toLocaleDateString(undefined, { timeZone: 'UTC' })} (UTC)
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <p className="text-sm font-medium text-gray-600 mb-2">Review Volume</p>
+                            <TrendChart series={series} type="bars" bucket={bucket} />
+                        </div>
+                        <div>
+                            <p className="text-sm font-medium text-gray-600 mb-2">Average Rating (1&ndash;5)</p>
+                            <TrendChart series={series} type="line" bucket={bucket} />
+                        </div>
+                        <div>
+                            <p className="text-sm font-medium text-gray-600 mb-2">Sentiment Mix</p>
+                            <TrendChart series={series} type="stacked" bucket={bucket} />
+                            <div className="flex space-x-3 mt-1">
+                                {SENTIMENTS.map(sentiment => (
+                                    <span key={sentiment} className="text-[10px] text-gray-500 flex items-center">
+                                        <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: SENTIMENT_COLORS[sentiment] }}></span>{sentiment}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+});
+
+
+// --- AI USAGE (ADMINS) ---
+
+const AI_USAGE_DAY_OPTIONS = [7, 30, 90];
+
+const ALERT_CLASSES = { critical: 'bg-red-100 text-red-700', warning: 'bg-yellow-100 text-yellow-800', info: 'bg-blue-100 text-blue-700' };
+
+// Small amounts keep enough digits to stay visible (a single call often costs a fraction of a cent)
+const formatUsd = (value) => `$${value > 0 && value < 1 ? value.toFixed(4) : value.toFixed(2)}`;
+
+const toThresholdInput = (thresholds) => thresholds.map(t => Math.round(t * 100)).join(', ');
+
+const UsageTable = ({ rows, labelKey, labelTitle }) => {
+    const maxCost = Math.max(...rows.map(row => row.costUsd), 0);
+    return (
+        <div className="max-h-80 overflow-y-auto border rounded-lg">
+            <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                    <tr>
+                        <th className="text-left p-2">{labelTitle}</th>
+                        <th className="text-right p-2">Calls</th>
+                        <th className="text-right p-2">Errors</th>
+                        <th className="text-right p-2">Prompt tokens</th>
+                        <th className="text-right p-2">Output tokens</th>
+                        <th className="text-right p-2">Avg. latency</th>
+                        <th className="text-left p-2 w-40">Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row[labelKey]} className="border-t">
+                            <td className="p-2 text-gray-700">{row[labelKey]}</td>
+                            <td className="p-2 text-right">{row.requests}</td>
+                            <td className={`p-2 text-right ${row.errors > 0 ? 'text-red-600' : 'text-gray-400'}`}>{row.errors}</td>
+                            <td className="p-2 text-right">{row.promptTokens.toLocaleString()}</td>
+                            <td className="p-2 text-right">{row.outputTokens.toLocaleString()}</td>
+                            <td className="p-2 text-right">{row.avgLatencyMs == null ? '-' : `${row.avgLatencyMs} ms`}</td>
+                            <td className="p-2">
+                                <div className="flex items-center space-x-2">
+                                    <div className="flex-1 h-2 bg-gray-100 rounded">
+                                        <div className="h-2 bg-indigo-500 rounded" style={{ width: `${maxCost > 0 ? (row.costUsd / maxCost) * 100 : 0}%` }}></div>
+                                    </div>
+                                    <span className="w-16 text-right">{formatUsd(row.costUsd)}</span>
+                                </div>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Token, cost and latency totals from api/ai-usage.js, with the monthly budget and its alerts
+const AiUsagePanel = React.memo(() => {
+    const [days, setDays] = useState(30);
+    const [report, setReport] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [budgetDraft, setBudgetDraft] = useState({ monthlyBudgetUsd: '', alertThresholds: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadReport = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const data = await apiRequest(`/api/ai-usage?days=${days}`);
+            setReport(data);
+            setBudgetDraft({ monthlyBudgetUsd: String(data.settings.monthlyBudgetUsd), alertThresholds: toThresholdInput(data.settings.alertThresholds) });
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Could not load AI usage.' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [days]);
+
+    useEffect(() => { loadReport(); }, [loadReport]);
+
+    const handleSaveBudget = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            const { settings, budget } = await apiRequest('/api/ai-usage', {
+                method: 'PATCH',
+                body: {
+                    monthlyBudgetUsd: Number(budgetDraft.monthlyBudgetUsd),
+                    // Entered as percentages of the budget
+                    alertThresholds: budgetDraft.alertThresholds.split(',').filter(part => part.trim()).map(part => Number(part) / 100),
+                },
+            });
+            setReport(prev => ({ ...prev, settings, budget }));
+            setBudgetDraft({ monthlyBudgetUsd: String(settings.monthlyBudgetUsd), alertThresholds: toThresholdInput(settings.alertThresholds) });
+            setMessage({ type: 'success', text: 'Budget saved.' });
+        } catch (e) {
+            setMessage({ type: 'error', text: e.message || 'Could not save the budget.' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const budget = report?.budget;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border space-y-6">
+            <div className="flex justify-between items-center">
+                <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                    <Cpu className="w-5 h-5 mr-2 text-indigo-500" /> AI Usage & Cost
+                </h3>
+                <div className="flex items-center space-x-2">
+                    <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="p-2 border border-gray-300 rounded-lg text-sm">
+                        {AI_USAGE_DAY_OPTIONS.map(option => <option key={option} value={option}>Last {option} days</option>)}
+                    </select>
+                    <button onClick={loadReport} disabled={isLoading} title="Refresh" className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-50">
+                        <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                </div>
+            </div>
+
+            {message && (
+                <div className={`p-3 rounded-lg text-sm ${message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {!report ? (
+                <p className="text-sm text-gray-500">{isLoading ? 'Loading usage...' : 'No usage data.'}</p>
+            ) : (
+                <>
+                    {/* Budget Alerts */}
+                    {budget.alerts.map(alert => (
+                        <div key={`${alert.level}-${alert.threshold}`} className={`p-3 rounded-lg text-sm flex items-center ${ALERT_CLASSES[alert.level]}`}>
+                            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" /> {alert.message}
+                        </div>
+                    ))}
+
+                    {/* Month to Date */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <p className="text-sm text-gray-500">Spend in {budget.month} (estimated)</p>
+                            <p className="text-2xl font-bold text-gray-800">
+                                {formatUsd(budget.costUsd)} <span className="text-sm font-normal text-gray-500">of {formatUsd(budget.budgetUsd)}</span>
+                            </p>
+                            <div className="h-2 bg-gray-100 rounded mt-2">
+                                <div
+                                    className={`h-2 rounded ${budget.usedShare >= 1 ? 'bg-red-500' : budget.usedShare >= 0.8 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                                    style={{ width: `${Math.min(budget.usedShare, 1) * 100}%` }}
+                                ></div>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-2">
+                                {budget.requests} calls, {budget.totalTokens.toLocaleString()} tokens &middot; projected {formatUsd(budget.projectedCostUsd)} by month end
+                            </p>
+                        </div>
+
+                        <form onSubmit={handleSaveBudget} className="grid grid-cols-2 gap-3 items-end">
+                            <label className="text-xs text-gray-600">
+                                Monthly budget (USD)
+                                <input
+                                    type="number"
+                                    min="0.01"
+                                    step="0.01"
+                                    value={budgetDraft.monthlyBudgetUsd}
+                                    onChange={(e) => setBudgetDraft(prev => ({ ...prev, monthlyBudgetUsd: e.target.value }))}
+                                    className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </label>
+                            <label className="text-xs text-gray-600">
+                                Alert at (% of budget)
+                                <input
+                                    type="text"
+                                    value={budgetDraft.alertThresholds}
+                                    onChange={(e) => setBudgetDraft(prev => ({ ...prev, alertThresholds: e.target.value }))}
+                                    placeholder="50, 80, 100"
+                                    className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                            </label>
+                            <button
+                                type="submit"
+                                disabled={isSaving}
+                                className="col-span-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-4 py-2 rounded-lg disabled:opacity-50"
+                            >
+                                {isSaving ? 'Saving...' : 'Save Budget'}
+                            </button>
+                        </form>
+                    </div>
+
+                    {/* Totals for the Selected Range */}
+                    <p className="text-sm text-gray-700">
+                        Last {days} days: <span className="font-semibold">{report.totals.requests}</span> calls,{' '}
+                        <span className="font-semibold">{report.totals.totalTokens.toLocaleString()}</span> tokens,{' '}
+                        <span className="font-semibold">{formatUsd(report.totals.costUsd)}</span>
+                        {report.totals.avgLatencyMs != null && <>, {report.totals.avgLatencyMs} ms average latency</>}.
+                    </p>
+
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-2">Per Feature</h4>
+                        {report.features.length === 0
+                            ? <p className="text-sm text-gray-500">No AI calls in this period.</p>
+                            : <UsageTable rows={report.features} labelKey="feature" labelTitle="Feature" />}
+                    </div>
+
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-2">Per Day (UTC)</h4>
+                        <UsageTable rows={[...report.days].reverse()} labelKey="date" labelTitle="Day" />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+});
+
+
+const DASHBOARD_TABS = [
+    { value: 'overview', label: 'Overview' },
+    { value: 'scorecard', label: 'Product Scorecard' },
+    { value: 'compare', label: 'Compare Products' },
+    { value: 'ai-usage', label: 'AI Usage', adminOnly: true },
+];
+
+const EXPORT_OPTIONS = [
+    { type: 'reviews', format: 'csv', label: 'Reviews CSV' },
+    { type: 'reviews', format: 'json', label: 'Reviews JSON' },
+    { type: 'summary', format: 'csv', label: 'Summary CSV' },
+    { type: 'summary', format: 'json', label: 'Summary JSON' },
+];
+
+// Exports are built and streamed by api/export.js from the same filters, so the download covers
+// every matching review rather than what happens to be loaded in the browser
+const ExportLinks = React.memo(({ filters }) => {
+    const query = serializeFiltersToUrl(filters, '');
+    return (
+        <div className="flex items-center space-x-2 text-sm">
+            <Download className="w-4 h-4 text-gray-500" />
+            {EXPORT_OPTIONS.map(option => (
+                <a
+                    key={`${option.type}-${option.format}`}
+                    href={`/api/export${query ? `${query}&` : '?'}type=${option.type}&format=${option.format}`}
+                    download
+                    className="px-2 py-1 rounded-lg border border-gray-300 text-gray-600 hover:text-indigo-600 hover:border-indigo-400"
+                >
+                    {option.label}
+                </a>
+            ))}
+        </div>
+    );
+});
+
+const BreakdownList = ({ title, rows, total, color }) => (
+    <div>
+        <p className="text-xs font-semibold uppercase text-gray-500 mb-1">{title}</p>
+        {rows.map(([label, count]) => {
+            const percentage = total > 0 ? (count / total) * 100 : 0;
+            return (
+                <div key={label} className="flex items-center text-xs text-gray-600 mb-1">
+                    <span className="w-12 shrink-0">{label}</span>
+                    <div className="flex-1 bg-gray-200 rounded-full h-1.5 mx-2">
+                        <div className={`h-1.5 rounded-full ${color}`} style={{ width: `${percentage}%` }}></div>
+                    </div>
+                    <span className="w-6 text-right">{count}</span>
+                </div>
+            );
+        })}
+    </div>
+);
+
+const ScorecardColumn = ({ scorecard }) => (
+    <div className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
+        <div>
+            <p className="text-lg font-semibold text-gray-800">
+                {scorecard.product.name}
+                {scorecard.product.archived && <span className="ml-2 text-xs text-gray-500 bg-gray-200 px-2 py-0.5 rounded-full">Archived</span>}
+            </p>
+            <p className="text-xs text-gray-500">{scorecard.product.category || 'Uncategorized'} &middot; {scorecard.count} reviews</p>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 text-center">
+            <div>
+                <p className="text-2xl font-bold text-gray-900">{scorecard.avgRating ?? 'N/A'}</p>
+                <p className="text-xs text-gray-500">Avg. Rating</p>
+            </div>
+            <div>
+                <p className={`text-2xl font-bold ${scorecard.nps == null ? 'text-gray-900' : scorecard.nps >= 0 ? 'text-green-600' : 'text-red-600'}`}>{scorecard.nps ?? 'N/A'}</p>
+                <p className="text-xs text-gray-500" title="% of 5-star reviews minus % of 1-3 star reviews">NPS-style</p>
+            </div>
+            <div>
+                <p className="text-2xl font-bold text-gray-900">{scorecard.positivePct != null ? `${scorecard.positivePct}%` : 'N/A'}</p>
+                <p className="text-xs text-gray-500">Positive</p>
+            </div>
+        </div>
+
+        <BreakdownList title="Rating Histogram" rows={scorecard.ratingHistogram.map(([rating, count]) => [`${rating}★`, count])} total={scorecard.count} color="bg-yellow-400" />
+        <BreakdownList title="Sentiment" rows={SENTIMENTS.map(s => [s, scorecard.sentiment[s]])} total={scorecard.count} color="bg-green-500" />
+        <BreakdownList title="Region" rows={scorecard.regionBreakdown} total={scorecard.count} color="bg-cyan-500" />
+        <BreakdownList title="Age Range" rows={scorecard.ageBreakdown} total={scorecard.count} color="bg-purple-500" />
+
+        <div>
+            <p className="text-xs font-semibold uppercase text-gray-500 mb-1">Latest Reviews</p>
+            {scorecard.latestReviews.length === 0 ? (
+                <p className="text-xs text-gray-400">No reviews match the current filters.</p>
+            ) : (
+                scorecard.latestReviews.map(review => (
+                    <div key={review.id} className="py-2 border-b last:border-b-0">
+                        <p className="text-xs text-gray-700 flex items-center">{getRatingStars(review.rating)}<span className="ml-2">{review.sentiment}</span></p>
+                        <p className="text-xs text-gray-500 italic">"{review.review_text.length > 100 ? review.review_text.substring(0, 100) + '...' : review.review_text}"</p>
+                    </div>
+                ))
+            )}
+        </div>
+    </div>
+);
+
+// --- COMPETITIVE CONTEXT (ADMINS) ---
+
+// Keeps the composed prompt within the template's maxPromptChars (see api/_lib/promptTemplates.js)
+const MAX_COMPETITIVE_QUESTION_CHARS = 500;
+
+// Renders a grounded answer with numbered links to its sources after each cited span.
+// citations are { start, end, sourceIndices } over `text` (see api/_lib/ai/index.js); spans ending at the same place share one marker group.
+const renderWithCitations = (text, citations, sources) => {
+    const markersByEnd = new Map();
+    citations.forEach(({ end, sourceIndices }) => {
+        if (end > text.length) return;
+        const markers = markersByEnd.get(end) || new Set();
+        sourceIndices.filter(i => i < sources.length).forEach(i => markers.add(i));
+        markersByEnd.set(end, markers);
+    });
+
+    const parts = [];
+    let cursor = 0;
+    [...markersByEnd.keys()].sort((a, b) => a - b).forEach(end => {
+        parts.push(text.slice(cursor, end));
+        cursor = end;
+        [...markersByEnd.get(end)].sort((a, b) => a - b).forEach(i => parts.push(
+            <sup key={`${end}-${i}`}>
+                <a href={sources[i].uri} target="_blank" rel="noopener noreferrer" title={sources[i].title} className="text-indigo-600 hover:underline">[{i + 1}]</a>
+            </sup>
+        ));
+    });
+    parts.push(text.slice(cursor));
+    return parts;
+};
+
+// Search-grounded answer to an admin's question about how a product compares with its competitors.
+// The answer streams in as plain text; citation markers are added once the sources arrive with the final event.
+const CompetitiveContext = React.memo(({ product }) => {
+    const [question, setQuestion] = useState('');
+    // Which product and question the streamed answer belongs to
+    const [asked, setAsked] = useState(null);
+    const { text, sources, citations, isStreaming, error, start, cancel } = useStreamingGeneration();
+
+    // Stop an answer that is still streaming when another product is selected
+    useEffect(() => cancel, [product.id, cancel]);
+
+    const handleAsk = (e) => {
+        e.preventDefault();
+        const trimmed = question.trim();
+        if (!trimmed || isStreaming) return;
+        setAsked({ productId: product.id, question: trimmed });
+        start({
+            templateId: 'competitive-context',
+            userPrompt: `Product: ${product.name} (${product.category || 'Uncategorized'})\nQuestion: ${trimmed}`,
+        });
+    };
+
+    const isShown = asked?.productId === product.id;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                <Globe className="w-5 h-5 mr-2 text-indigo-500" /> Competitive Context
+            </h3>
+
+            <form onSubmit={handleAsk} className="flex space-x-2">
+                <input
+                    type="text"
+                    placeholder={`e.g. How do users rate competitors of ${product.name}?`}
+                    value={question}
+                    maxLength={MAX_COMPETITIVE_QUESTION_CHARS}
+                    onChange={(e) => setQuestion(e.target.value)}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+                />
+                {isStreaming ? (
+                    <button
+                        type="button"
+                        onClick={cancel}
+                        className="flex items-center text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 px-3 py-2 rounded-lg"
+                    >
+                        <X className="w-4 h-4 mr-1" /> Stop
+                    </button>
+                ) : (
+                    <button
+                        type="submit"
+                        disabled={!question.trim()}
+                        className="flex items-center text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 px-3 py-2 rounded-lg disabled:opacity-50"
+                    >
+                        <Search className="w-4 h-4 mr-1" /> Ask
+                    </button>
+                )}
+            </form>
+
+            {isShown && error && <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">{error}</div>}
 
-// Sentiment and Rating Icons
-const getSentimentIcon = (sentiment) => {
-    switch (sentiment) {
-        case 'Positive': return <Smile className="w-4 h-4 text-green-500" />;
-        case 'Neutral': return <Meh className="w-4 h-4 text-yellow-500" />;
-        case 'Negative': return <Frown className="w-4 h-4 text-red-500" />;
-        default: return <Meh className="w-4 h-4 text-gray-500" />;
-    }
-};
+            {!isShown || (!text && !isStreaming) ? (
+                <p className="text-sm text-gray-500">
+                    Ask how {product.name} compares with the market. Answers are drawn from current web search results and cite their sources.
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    <p className="text-xs text-gray-400">Q: {asked.question}</p>
+                    <p className="text-sm text-gray-700 whitespace-pre-wrap">
+                        {renderWithCitations(text, citations, sources)}
+                        {isStreaming && <Loader2 className="inline w-4 h-4 ml-1 animate-spin text-indigo-600" />}
+                    </p>
+                    {sources.length > 0 && (
+                        <div>
+                            <p className="text-xs font-semibold uppercase text-gray-500 mb-1">Sources</p>
+                            <ol className="list-decimal list-inside space-y-1">
+                                {sources.map(source => (
+                                    <li key={source.uri} className="text-xs text-gray-600">
+                                        <a href={source.uri} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">{source.title}</a>
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+});
 
-const getRatingStars = (rating) => {
-    return Array(5).fill(0).map((_, i) => (
-        <Star 
-            key={i} 
-            className={`w-4 h-4 ${i < rating ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} 
-        />
-    ));
-};
+// Single-product scorecard ('scorecard') or side-by-side comparison of two or more products ('compare')
+const ScorecardsView = React.memo(({ mode, filters, products, session, reviews }) => {
+    const visibleProducts = useMemo(
+        () => (session.role === 'moderator' ? products.filter(p => session.products.includes(p.id)) : products),
+        [products, session]
+    );
+    const [selectedIds, setSelectedIds] = useState(() => visibleProducts.slice(0, mode === 'compare' ? 2 : 1).map(p => p.id));
+    const [scorecards, setScorecards] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (selectedIds.length === 0) {
+            setScorecards([]);
+            return;
+        }
+        let cancelled = false;
+        // The product selection here replaces the dashboard's product filter; the other filters still apply
+        const query = serializeFiltersToUrl({ ...filters, products: selectedIds }, '');
+        setIsLoading(true);
+        apiRequest(`/api/scorecards${query}`)
+            .then(data => {
+                if (cancelled) return;
+                setScorecards(data.scorecards);
+                setError(null);
+            })
+            .catch(e => { if (!cancelled) setError(e.message || 'Could not load scorecards.'); })
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+        return () => { cancelled = true; };
+    }, [selectedIds, filters, reviews]);
+
+    const selectedProduct = visibleProducts.find(p => p.id === selectedIds[0]);
+
+    const toggleCompared = (id) => setSelectedIds(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]));
 
-// --- TEST DATA GENERATION ---
+    return (
+        <div className="space-y-4">
+            <div className="bg-white p-4 rounded-xl shadow-lg border flex flex-wrap items-center gap-2">
+                {mode === 'scorecard' ? (
+                    <>
+                        <span className="text-sm text-gray-600">Product:</span>
+                        <select value={selectedIds[0] || ''} onChange={(e) => setSelectedIds([e.target.value])} className="text-sm p-2 border border-gray-300 rounded-lg">
+                            {visibleProducts.map(p => <option key={p.id} value={p.id}>{p.name}{p.archived ? ' (archived)' : ''}</option>)}
+                        </select>
+                    </>
+                ) : (
+                    <>
+                        <span className="text-sm text-gray-600">Compare:</span>
+                        {visibleProducts.map(p => (
+                            <FilterChip key={p.id} label={p.name} active={selectedIds.includes(p.id)} onClick={() => toggleCompared(p.id)} />
+                        ))}
+                    </>
+                )}
+                {isLoading && <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />}
+            </div>
 
-// Helper to generate initial test data structures
-const generateInitialState = async () => {
-    const testUsers = [
-        { name: 'Alice Smith', email: 'alice@test.com', ageRange: '25-34', region: 'NA' },
-        { name: 'Bob Jones', email: 'bob@test.com', ageRange: '45-54', region: 'EU' },
-        { name: 'Charlie Brown', email: 'charlie@test.com', ageRange: '<18', region: 'AP' },
-    ];
-    
-    let users = {};
-    let userReviewCounts = {};
-
-    // 1. Generate Hashes for all test users
-    const usersWithHash = await Promise.all(testUsers.map(async user => ({
-        ...user,
-        hash: await hashPII(user.name, user.email),
-        createdAt: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString() 
-    })));
-
-    usersWithHash.forEach((user, index) => {
-        users[user.hash] = { hash: user.hash, ageRange: user.ageRange, createdAt: user.createdAt };
-        userReviewCounts[user.hash] = { count: index === 0 ? 2 : index === 1 ? 3 : 1 };
-    });
+            {error && <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">{error}</div>}
 
-    // 2. Setup Sample Reviews
-    const reviewData = [
-        // Alice's Reviews
-        { hash: usersWithHash[0].hash, product: productList[0], rating: 5, sentiment: 'Positive', review: 'Connect Pro is blazing fast and seamless!', age: usersWithHash[0].ageRange, region: usersWithHash[0].region, timestamp: new Date(Date.now() - 3600000).toISOString() },
-        { hash: usersWithHash[0].hash, product: productList[1], rating: 3, sentiment: 'Neutral', review: 'Edge Functions work, but the documentation is a bit sparse.', age: usersWithHash[0].ageRange, region: usersWithHash[0].region, timestamp: new Date(Date.now() - 7200000).toISOString() },
-        // Bob's Reviews
-        { hash: usersWithHash[1].hash, product: productList[3], rating: 1, sentiment: 'Negative', review: 'Deploy System failed twice this week. Unreliable for production!', age: usersWithHash[1].ageRange, region: usersWithHash[1].region, timestamp: new Date(Date.now() - 10800000).toISOString() },
-        { hash: usersWithHash[1].hash, product: productList[0], rating: 5, sentiment: 'Positive', review: 'Fantastic service! Highly recommend MyCox Connect Pro.', age: usersWithHash[1].ageRange, region: usersWithHash[1].region, timestamp: new Date(Date.now() - 14400000).toISOString() },
-        { hash: usersWithHash[1].hash, product: productList[2], rating: 3, sentiment: 'Neutral', review: 'CDN speeds are okay, but not market-leading.', age: usersWithHash[1].ageRange, region: usersWithHash[1].region, timestamp: new Date(Date.now() - 18000000).toISOString() },
-        // Charlie's Review
-        { hash: usersWithHash[2].hash, product: productList[3], rating: 4, sentiment: 'Positive', review: 'The deployment process is simple and intuitive.', age: usersWithHash[2].ageRange, region: usersWithHash[2].region, timestamp: new Date(Date.now() - 21600000).toISOString() },
-    ];
-    
-    const reviews = reviewData.map((r, index) => ({
-        id: `mock-${index + 1}`,
-        hash_id: r.hash,
-        product_name: r.product.name,
-        rating: r.rating,
-        sentiment: r.sentiment,
-        review_text: r.review,
-        age_range: r.age,
-        region: r.region,
-        timestamp: r.timestamp,
-    }));
-    
-    return { users, userReviewCounts, reviews };
-};
+            {mode === 'compare' && selectedIds.length < 2 ? (
+                <p className="text-sm text-gray-500">Select at least two products to compare.</p>
+            ) : (
+                <div className={`grid grid-cols-1 gap-4 ${mode === 'compare' ? 'md:grid-cols-2 xl:grid-cols-3' : ''}`}>
+                    {scorecards.map(scorecard => <ScorecardColumn key={scorecard.product.id} scorecard={scorecard} />)}
+                </div>
+            )}
 
+            {mode === 'scorecard' && session.role === 'admin' && selectedProduct && <CompetitiveContext product={selectedProduct} />}
+        </div>
+    );
+});
 
-// --- Sub Components ---
 
-const ReviewCard = React.memo(({ review }) => (
-    <div className="p-4 bg-white border border-gray-100 rounded-xl shadow-sm hover:shadow-md transition duration-200">
-        <div className="flex justify-between items-start mb-2">
-            <div className="flex items-center space-x-2">
-                <span className="text-lg font-semibold text-gray-800">{review.product_name}</span>
-                <span className="text-xs font-medium text-gray-500 bg-gray-100 px-2 py-0.5 rounded-full flex items-center">
-                    {getSentimentIcon(review.sentiment)}
-                    <span className="ml-1">{review.sentiment}</span>
-                </span>
-            </div>
-            <div className="flex">
-                {getRatingStars(review.rating)}
-            </div>
-        </div>
-        <p className="text-sm text-gray-600 italic">"{review.review_text.length > 120 ? review.review_text.substring(0, 120) + '...' : review.review_text}"</p>
-        <div className="mt-2 text-xs text-gray-400 flex justify-between">
-            <span>Posted: {new Date(review.timestamp).toLocaleDateString() || 'N/A'}</span>
-            <span className="flex items-center space-x-2">
-                <span className='flex items-center'><MapPin className='w-3 h-3 mr-0.5' />{review.region}</span>
-                <span className='flex items-center'><Calendar className='w-3 h-3 mr-0.5' />{review.age_range}</span>
-            </span>
+// `delta` is the change from the previous period; deltaLabel names the compared window and deltaTitle its dates
+const MetricCard = React.memo(({ title, value, icon, color, delta, deltaSuffix = '', higherIsBetter = true, deltaLabel, deltaTitle }) => (
+    <div className="bg-white p-4 rounded-xl shadow-lg border-t-4" style={{ borderColor: color }}>
+        <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-500">{title}</p>
+            {icon}
         </div>
+        <p className="mt-1 text-3xl font-bold text-gray-900">{value}</p>
+        {delta != null && (
+            <p
+                className={`text-xs mt-1 ${delta === 0 ? 'text-gray-400' : (delta > 0) === higherIsBetter ? 'text-green-600' : 'text-red-600'}`}
+                title={deltaTitle}
+            >
+                {delta > 0 ? '▲' : delta < 0 ? '▼' : '■'} {Math.abs(Math.round(delta * 10) / 10)}{deltaSuffix} {deltaLabel}
+            </p>
+        )}
     </div>
 ));
 
+const DistributionBar = React.memo(({ label, count, total, color = 'bg-indigo-500', onClick }) => {
+    const percentage = total > 0 ? (count / total) * 100 : 0;
+    return (
+        <div
+            className={`mb-2 ${onClick ? 'cursor-pointer hover:opacity-80' : ''}`}
+            onClick={onClick}
+            title={onClick ? `Filter to ${label}` : undefined}
+        >
+            <div className="flex justify-between text-sm text-gray-700">
+                <span>{label}</span>
+                <span>{count} ({percentage.toFixed(0)}%)</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+                <div 
+                    className={`h-2 rounded-full transition-all duration-500 ease-out ${color}`} 
+                    style={{ width: `${percentage}%` }}
+                ></div>
+            </div>
+        </div>
+    );
+});
 
-const AdminDashboard = React.memo(({ reviews }) => {
+const AdminDashboard = React.memo(({ reviews, products, session, onProductSaved, onProductDeleted, onReviewsImported, onReviewModerated }) => {
     // Data is already loaded, so no loading state is needed here.
+    const [filters, setFilters] = useUrlFilters();
+    const [tab, setTab] = useState('overview'); // 'overview', 'scorecard', 'compare', 'ai-usage'
+    const [trendBucket, setTrendBucket] = useState('week');
+    const { trends, error: trendsError } = useTrends(filters, trendBucket, reviews);
+
+    // Every metric, chart and list below works on the filtered set
+    const filteredReviews = useMemo(() => applyReviewFilters(reviews, filters), [reviews, filters]);
+
+    // Drill-down: clicking a distribution bar narrows that dimension to the clicked value
+    const drillDown = useCallback((key, value) => setFilters(prev => ({ ...prev, [key]: [value] })), [setFilters]);
+
+    const canModerate = MODERATION_ROLES.includes(session.role);
+    const [flagError, setFlagError] = useState(null);
+
+    // Sends a review from the latest list to the moderation queue
+    const flagReview = async (review) => {
+        const reason = window.prompt('Why should this review be flagged?');
+        if (!reason || !reason.trim()) return;
+        setFlagError(null);
+        try {
+            const { review: updated } = await moderateReview(review.id, 'flag', reason.trim());
+            onReviewModerated(review.id, updated);
+        } catch (e) {
+            setFlagError(e.message || 'Could not flag the review.');
+        }
+    };
 
     // Sort reviews by timestamp for "Latest Reviews" section
     const sortedReviews = useMemo(() => {
-        return [...reviews].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }, [reviews]);
+        return [...filteredReviews].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }, [filteredReviews]);
+
+    // Reviews where the AI-detected sentiment contradicts the star rating
+    const mismatchedReviews = useMemo(() => sortedReviews.filter(hasSentimentMismatch), [sortedReviews]);
 
 
     // Aggregate Data for Dashboard Metrics
     const aggregatedData = useMemo(() => {
         const data = {
-            totalReviews: reviews.length,
+            totalReviews: filteredReviews.length,
             sentiment: { Positive: 0, Neutral: 0, Negative: 0 },
             ageDistribution: {},
             regionDistribution: {},
@@ -182,9 +2053,9 @@ const AdminDashboard = React.memo(({ reviews }) => {
         };
 
         let totalRating = 0;
-        const reviewCount = reviews.length;
+        const reviewCount = filteredReviews.length;
 
-        reviews.forEach(r => {
+        filteredReviews.forEach(r => {
             // Sentiment
             if (r.sentiment) data.sentiment[r.sentiment] = (data.sentiment[r.sentiment] || 0) + 1;
 
@@ -205,119 +2076,228 @@ const AdminDashboard = React.memo(({ reviews }) => {
         data.regionDistribution = Object.entries(data.regionDistribution).sort();
 
         return data;
-    }, [reviews]);
+    }, [filteredReviews]);
 
-    const MetricCard = ({ title, value, icon, color }) => (
-        <div className="bg-white p-4 rounded-xl shadow-lg border-t-4" style={{ borderColor: color }}>
-            <div className="flex items-center justify-between">
-                <p className="text-sm font-medium text-gray-500">{title}</p>
-                {icon}
-            </div>
-            <p className="mt-1 text-3xl font-bold text-gray-900">{value}</p>
-        </div>
-    );
-    
-    const DistributionBar = ({ label, count, total, color = 'bg-indigo-500' }) => {
-        const percentage = total > 0 ? (count / total) * 100 : 0;
-        return (
-            <div className="mb-2">
-                <div className="flex justify-between text-sm text-gray-700">
-                    <span>{label}</span>
-                    <span>{count} ({percentage.toFixed(0)}%)</span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                        className={`h-2 rounded-full transition-all duration-500 ease-out ${color}`} 
-                        style={{ width: `${percentage}%` }}
-                    ></div>
-                </div>
-            </div>
-        );
+    // Change from the previous period to the current one (server-side, see /api/trends); null when not comparable
+    const periodDelta = (key) => {
+        const current = trends?.summary.current[key];
+        const previous = trends?.summary.previous[key];
+        return current == null || previous == null ? null : current - previous;
     };
 
+    // Without a start date the cards count every review while /api/trends compares the last 30 days,
+    // so the delta names its own window instead of implying it describes the number above it
+    const trendDays = trends ? Math.round((Date.parse(trends.period.to) - Date.parse(trends.period.from)) / 86400000) : null;
+    const deltaLabel = filters.from ? 'vs. previous period' : `in the last ${trendDays} days vs. the ${trendDays} before`;
+    const deltaTitle = trends ? `${trends.period.from.slice(0, 10)} – ${trends.period.to.slice(0, 10)} (UTC) vs. the period before` : undefined;
+
     return (
         <div className="space-y-8">
-            <h2 className="text-2xl font-extrabold text-gray-900 border-b pb-2">Admin Insights Dashboard (Mock Data)</h2>
-
-            {/* Top Metrics */}
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-                <MetricCard 
-                    title="Total Reviews" 
-                    value={aggregatedData.totalReviews} 
-                    icon={<List className="w-6 h-6 text-indigo-500" />}
-                    color="#6366f1"
-                />
-                <MetricCard 
-                    title="Avg. Rating" 
-                    value={aggregatedData.avgRating} 
-                    icon={<Star className="w-6 h-6 text-yellow-500" />}
-                    color="#f59e0b"
-                />
-                <MetricCard 
-                    title="Positive %" 
-                    value={aggregatedData.totalReviews > 0 ? ((aggregatedData.sentiment.Positive / aggregatedData.totalReviews) * 100).toFixed(0) + '%' : 'N/A'}
-                    icon={<Smile className="w-6 h-6 text-green-500" />}
-                    color="#10b981"
-                />
-                <MetricCard 
-                    title="Negative %" 
-                    value={aggregatedData.totalReviews > 0 ? ((aggregatedData.sentiment.Negative / aggregatedData.totalReviews) * 100).toFixed(0) + '%' : 'N/A'}
-                    icon={<Frown className="w-6 h-6 text-red-500" />}
-                    color="#ef4444"
-                />
+            <div className="flex justify-between items-end border-b pb-2">
+                <h2 className="text-2xl font-extrabold text-gray-900">Admin Insights Dashboard</h2>
+                <p className="text-xs text-gray-500">
+                    Signed in as <span className="font-semibold">{session.sub}</span> ({session.role})
+                    {session.role === 'moderator' && (
+                        <> &middot; Scoped to: {session.products.map(id => products.find(p => p.id === id)?.name || id).join(', ')}</>
+                    )}
+                </p>
             </div>
 
-            {/* Distribution Charts */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                {/* Age Distribution */}
-                <div className="bg-white p-6 rounded-xl shadow-lg border">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-800">Age Range Distribution</h3>
-                    {aggregatedData.ageDistribution.map(([range, count]) => (
-                        <DistributionBar 
-                            key={range} 
-                            label={range} 
-                            count={count} 
-                            total={aggregatedData.totalReviews} 
-                            color="bg-purple-500"
-                        />
+            {/* View Tabs and Exports */}
+            <div className="flex flex-wrap justify-between items-center gap-2">
+                <div className="flex space-x-2">
+                    {DASHBOARD_TABS.filter(t => !t.adminOnly || session.role === 'admin').map(t => (
+                        <button
+                            key={t.value}
+                            onClick={() => setTab(t.value)}
+                            className={`text-sm font-medium px-3 py-2 rounded-lg ${tab === t.value ? 'text-indigo-600 bg-indigo-100' : 'text-gray-500 hover:text-indigo-600'}`}
+                        >
+                            {t.label}
+                        </button>
                     ))}
                 </div>
+                {tab !== 'ai-usage' && <ExportLinks filters={filters} />}
+            </div>
 
-                {/* Region Distribution */}
-                <div className="bg-white p-6 rounded-xl shadow-lg border">
-                    <h3 className="text-xl font-semibold mb-4 text-gray-800">Geographic Region (Simulated)</h3>
-                    {aggregatedData.regionDistribution.map(([region, count]) => (
-                        <DistributionBar 
-                            key={region} 
-                            label={region} 
-                            count={count} 
-                            total={aggregatedData.totalReviews} 
-                            color="bg-cyan-500"
+            {/* Filter Bar (review filters do not apply to AI usage) */}
+            {tab !== 'ai-usage' && <FilterBar filters={filters} setFilters={setFilters} products={products} />}
+
+            {tab === 'overview' && (
+                <>
+                    {/* Top Metrics */}
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <MetricCard 
+                            title="Total Reviews" 
+                            value={aggregatedData.totalReviews} 
+                            icon={<List className="w-6 h-6 text-indigo-500" />}
+                            color="#6366f1"
+                            delta={periodDelta('count')}
+                            deltaLabel={deltaLabel}
+                            deltaTitle={deltaTitle}
                         />
-                    ))}
-                </div>
-            </div>
+                        <MetricCard 
+                            title="Avg. Rating" 
+                            value={aggregatedData.avgRating} 
+                            icon={<Star className="w-6 h-6 text-yellow-500" />}
+                            color="#f59e0b"
+                            delta={periodDelta('avgRating')}
+                            deltaLabel={deltaLabel}
+                            deltaTitle={deltaTitle}
+                        />
+                        <MetricCard 
+                            title="Positive %" 
+                            value={aggregatedData.totalReviews > 0 ? ((aggregatedData.sentiment.Positive / aggregatedData.totalReviews) * 100).toFixed(0) + '%' : 'N/A'}
+                            icon={<Smile className="w-6 h-6 text-green-500" />}
+                            color="#10b981"
+                            delta={periodDelta('positivePct')}
+                            deltaLabel={deltaLabel}
+                            deltaTitle={deltaTitle}
+                            deltaSuffix=" pts"
+                        />
+                        <MetricCard 
+                            title="Negative %" 
+                            value={aggregatedData.totalReviews > 0 ? ((aggregatedData.sentiment.Negative / aggregatedData.totalReviews) * 100).toFixed(0) + '%' : 'N/A'}
+                            icon={<Frown className="w-6 h-6 text-red-500" />}
+                            color="#ef4444"
+                            delta={periodDelta('negativePct')}
+                            deltaLabel={deltaLabel}
+                            deltaTitle={deltaTitle}
+                            deltaSuffix=" pts"
+                            higherIsBetter={false}
+                        />
+                    </div>
 
-            {/* Latest Reviews (Raw Data) */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border">
-                <h3 className="text-xl font-semibold mb-4 text-gray-800">Latest User Reviews ({sortedReviews.length})</h3>
-                <div className="space-y-3">
-                    {sortedReviews.slice(0, 10).map(review => (
-                        <div key={review.id} className="p-3 border-b last:border-b-0">
-                            <p className="text-sm font-medium text-gray-700">{review.product_name} | Rating: {review.rating}</p>
-                            <p className="text-xs text-gray-500 italic">"{review.review_text.substring(0, 80)}..."</p>
-                            <p className="text-xs text-indigo-400">Hash ID: {review.hash_id.substring(0, 10)}...</p>
+                    {/* Trend Charts */}
+                    <TrendsPanel trends={trends} error={trendsError} bucket={trendBucket} setBucket={setTrendBucket} />
+
+                    {/* Distribution Charts */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                        {/* Age Distribution */}
+                        <div className="bg-white p-6 rounded-xl shadow-lg border">
+                            <h3 className="text-xl font-semibold mb-4 text-gray-800">Age Range Distribution</h3>
+                            {aggregatedData.ageDistribution.map(([range, count]) => (
+                                <DistributionBar 
+                                    key={range} 
+                                    label={range} 
+                                    count={count} 
+                                    total={aggregatedData.totalReviews} 
+                                    color="bg-purple-500"
+                                    onClick={() => drillDown('ages', range)}
+                                />
+                            ))}
                         </div>
-                    ))}
-                </div>
-            </div>
+
+                        {/* Region Distribution */}
+                        <div className="bg-white p-6 rounded-xl shadow-lg border">
+                            <h3 className="text-xl font-semibold mb-4 text-gray-800">Geographic Region (Simulated)</h3>
+                            {aggregatedData.regionDistribution.map(([region, count]) => (
+                                <DistributionBar 
+                                    key={region} 
+                                    label={region} 
+                                    count={count} 
+                                    total={aggregatedData.totalReviews} 
+                                    color="bg-cyan-500"
+                                    onClick={() => drillDown('regions', region)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Product Catalog (Admins Only) */}
+                    {session.role === 'admin' && (
+                        <ProductManager
+                            products={products}
+                            reviews={reviews}
+                            onProductSaved={onProductSaved}
+                            onProductDeleted={onProductDeleted}
+                        />
+                    )}
+
+                    {/* Bulk Review Import (Admins Only) */}
+                    {session.role === 'admin' && <ImportPanel onReviewsImported={onReviewsImported} />}
+
+                    {/* Natural-Language Query (independent of the filter bar) */}
+                    <ReviewQueryPanel reviews={reviews} products={products} />
+
+                    {/* AI Executive Summary */}
+                    <InsightsPanel reviews={filteredReviews} />
+
+                    {/* Moderation Queue (Moderators and Admins) */}
+                    {canModerate && <ModerationQueue reviews={reviews} onReviewModerated={onReviewModerated} />}
+
+                    {/* Sentiment vs. Rating Mismatches */}
+                    <div className="bg-white p-6 rounded-xl shadow-lg border">
+                        <h3 className="text-xl font-semibold mb-1 text-gray-800">AI Sentiment vs. Star Rating ({mismatchedReviews.length})</h3>
+                        <p className="text-xs text-gray-500 mb-4">Reviews whose text the model reads differently from what the star rating suggests.</p>
+                        {mismatchedReviews.length === 0 ? (
+                            <p className="text-sm text-gray-500">No disagreements found.</p>
+                        ) : (
+                            <div className="space-y-3">
+                                {mismatchedReviews.slice(0, 10).map(review => (
+                                    <div key={review.id} className="p-3 border-b last:border-b-0">
+                                        <p className="text-sm font-medium text-gray-700 flex items-center">
+                                            {review.product_name} | Rating: {review.rating} ({getRatingSentiment(review.rating)}) | Model:
+                                            <span className="ml-1 flex items-center">{getSentimentIcon(review.sentiment)}<span className="ml-1">{review.sentiment}</span></span>
+                                            {review.sentiment_confidence != null && (
+                                                <span className="ml-1 text-xs text-gray-400">({(review.sentiment_confidence * 100).toFixed(0)}% confident)</span>
+                                            )}
+                                        </p>
+                                        <p className="text-xs text-gray-500 italic">"{review.review_text.substring(0, 80)}..."</p>
+                                        {review.topics?.length > 0 && (
+                                            <p className="text-xs text-indigo-400">Topics: {review.topics.join(', ')}</p>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Latest Reviews (Raw Data) */}
+                    <div className="bg-white p-6 rounded-xl shadow-lg border">
+                        <h3 className="text-xl font-semibold mb-4 text-gray-800">Latest User Reviews ({sortedReviews.length})</h3>
+                        {flagError && <div className="p-3 mb-4 rounded-lg text-sm bg-red-100 text-red-700">{flagError}</div>}
+                        <div className="space-y-3">
+                            {sortedReviews.slice(0, 10).map(review => (
+                                <div key={review.id} className="p-3 border-b last:border-b-0">
+                                    <p className="text-sm font-medium text-gray-700">
+                                        {review.product_name} | Rating: {review.rating}
+                                        <StatusBadge status={review.status} />
+                                    </p>
+                                    <p className="text-xs text-gray-500 italic">"{review.review_text.substring(0, 80)}..."</p>
+                                    <p className="text-xs text-indigo-400 flex justify-between">
+                                        <span>{review.hash_id ? `Hash ID: ${review.hash_id.substring(0, 10)}...` : 'Imported'}</span>
+                                        {canModerate && (!review.status || review.status === 'visible') && (
+                                            <button onClick={() => flagReview(review)} className="text-gray-400 hover:text-yellow-600 flex items-center">
+                                                <Flag className="w-3 h-3 mr-0.5" /> Flag
+                                            </button>
+                                        )}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {(tab === 'scorecard' || tab === 'compare') && (
+                <ScorecardsView
+                    key={tab}
+                    mode={tab}
+                    filters={filters}
+                    products={products}
+                    session={session}
+                    reviews={reviews}
+                />
+            )}
+
+            {tab === 'ai-usage' && session.role === 'admin' && <AiUsagePanel />}
         </div>
     );
 });
 
 
-const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubmit }) => {
-    const [searchTerm, setSearchTerm] = useState('');
+// Review submission form. Keeps its own draft state; `onReviewSubmit` stores the review and resolves to it.
+const ReviewForm = React.memo(({ userHash, reviews, products, reviewLimit, reviewLimits, onReviewSubmit }) => {
     const [productSelection, setProductSelection] = useState(null);
     const [newReviewText, setNewReviewText] = useState('');
     const [newReviewRating, setNewReviewRating] = useState(5);
@@ -326,55 +2306,62 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [submitMessage, setSubmitMessage] = useState(null);
 
-    // Filter reviews based on search term
-    const filteredReviews = useMemo(() => {
-        if (!searchTerm) return reviews;
-        return reviews.filter(review =>
-            review.product_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            review.review_text.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-    }, [reviews, searchTerm]);
+    // The user's own reviews in the feed, used to show the per-product quota before submitting
+    const ownReviewsForProduct = useMemo(
+        () => (productSelection ? reviews.filter(r => (r.is_own || r.hash_id === userHash) && r.product_id === productSelection.id).length : 0),
+        [reviews, productSelection, userHash]
+    );
+    const productQuotaReached = ownReviewsForProduct >= reviewLimits.perProduct;
 
     const handleSubmitReview = async (e) => {
         e.preventDefault();
         if (!productSelection || !newReviewText.trim() || !userHash || isSubmitting) return;
 
-        if (reviewLimit >= MAX_REVIEWS_PER_USER) {
-            setSubmitMessage({ type: 'error', text: `Review limit reached. Max ${MAX_REVIEWS_PER_USER} reviews.` });
+        // Early feedback only; the server enforces every limit
+        if (reviewLimit >= reviewLimits.perUser) {
+            setSubmitMessage({ type: 'error', text: `Review limit reached. Max ${reviewLimits.perUser} reviews.` });
+            return;
+        }
+        if (productQuotaReached) {
+            setSubmitMessage({ type: 'error', text: `You have already posted ${reviewLimits.perProduct} reviews for this product.` });
             return;
         }
 
         setIsSubmitting(true);
         setSubmitMessage(null);
 
-        // Simple sentiment logic for MVP
-        const sentiment = newReviewRating >= 4 ? 'Positive' : newReviewRating <= 2 ? 'Negative' : 'Neutral';
-
+        // Sentiment is classified by the server from the screened text (see api/_lib/sentiment.js)
         const newReview = {
-            hash_id: userHash,
-            product_name: productSelection.name,
+            product_id: productSelection.id,
             rating: newReviewRating,
-            sentiment: sentiment,
             review_text: newReviewText.trim(),
             age_range: selectedAgeRange,
             region: selectedRegion,
-            timestamp: new Date().toISOString(), // Mock timestamp
         };
 
-        // Call parent handler to update in-memory state
-        await onReviewSubmit(newReview); 
-        
-        // Simulate success and reset form
-        setSubmitMessage({ type: 'success', text: 'Review submitted successfully!' });
-        setNewReviewText('');
-        setNewReviewRating(5);
-        setProductSelection(null);
-        
-        setIsSubmitting(false);
+        try {
+            // Persist through the reviews API; the parent adds the stored review to the list
+            const stored = await onReviewSubmit(newReview);
+
+            // The server screens the text: PII is redacted and borderline reviews wait for a moderator
+            const redacted = Object.keys(stored.screening?.redactions || {}).length > 0;
+            const notes = [
+                stored.status === 'pending' ? 'It will be published once a moderator has checked it.' : null,
+                redacted ? 'Contact details and private links were removed to keep it anonymous.' : null,
+            ].filter(Boolean);
+            setSubmitMessage({ type: 'success', text: ['Review submitted successfully!', ...notes].join(' ') });
+            setNewReviewText('');
+            setNewReviewRating(5);
+            setProductSelection(null);
+        } catch (e) {
+            console.error("Review submission failed:", e);
+            setSubmitMessage({ type: 'error', text: describeApiError(e, 'Review submission failed.') });
+        } finally {
+            setIsSubmitting(false);
+        }
     };
     
-    // Review form section
-    const ReviewForm = () => (
+    return (
         <form onSubmit={handleSubmitReview} className="bg-white p-6 rounded-xl shadow-lg border space-y-4">
             <h3 className="text-xl font-bold text-indigo-600 border-b pb-2 flex items-center">
                 <Zap className='w-5 h-5 mr-2' /> Submit Your Insight
@@ -398,7 +2385,8 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
 
                 {!productSelection && (
                     <div className="absolute z-10 w-full mt-1 bg-white border border-gray-200 rounded-xl shadow-lg max-h-40 overflow-y-auto">
-                        {productList.map(p => (
+                        {/* Archived products keep their reviews but cannot be picked for new ones */}
+                        {products.filter(p => !p.archived).map(p => (
                             <div 
                                 key={p.id} 
                                 className="p-3 hover:bg-indigo-50 cursor-pointer text-sm"
@@ -410,7 +2398,7 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
                     </div>
                 )}
             </div>
-            
+        
             <div className="grid grid-cols-2 gap-4">
                 {/* Age Range */}
                 <div>
@@ -463,7 +2451,7 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
                     className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 mt-1 shadow-sm"
                 />
             </div>
-            
+        
             {submitMessage && (
                 <div className={`p-3 rounded-lg text-sm ${submitMessage.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
                     {submitMessage.text}
@@ -473,7 +2461,7 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
             <button
                 type="submit"
                 className="w-full flex items-center justify-center px-4 py-3 text-white bg-indigo-600 rounded-xl font-medium hover:bg-indigo-700 transition duration-150 shadow-md disabled:opacity-50"
-                disabled={!productSelection || !newReviewText.trim() || isSubmitting || reviewLimit >= MAX_REVIEWS_PER_USER}
+                disabled={!productSelection || !newReviewText.trim() || isSubmitting || reviewLimit >= reviewLimits.perUser || productQuotaReached}
             >
                 {isSubmitting ? (
                     <Loader2 className="w-5 h-5 animate-spin mr-2" />
@@ -483,16 +2471,38 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
                 {isSubmitting ? 'Submitting...' : 'Post Review'}
             </button>
             <p className="text-xs text-center text-gray-500 mt-2">
-                Your total reviews: {reviewLimit}/{MAX_REVIEWS_PER_USER}. Anonymous ID: {userHash.substring(0, 10)}...
+                Your total reviews: {reviewLimit}/{reviewLimits.perUser}
+                {productSelection && ` (${ownReviewsForProduct}/${reviewLimits.perProduct} for ${productSelection.name})`}
+                . Up to {reviewLimits.perHour} per hour. Anonymous ID: {userHash.substring(0, 10)}...
             </p>
         </form>
     );
+});
+
+const UserDashboard = React.memo(({ userHash, reviews, products, reviewLimit, reviewLimits, onReviewSubmit, onReviewReport }) => {
+    const [searchTerm, setSearchTerm] = useState('');
+
+    // Filter reviews based on search term
+    const filteredReviews = useMemo(() => {
+        if (!searchTerm) return reviews;
+        return reviews.filter(review =>
+            review.product_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+            review.review_text.toLowerCase().includes(searchTerm.toLowerCase())
+        );
+    }, [reviews, searchTerm]);
 
     return (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             {/* Review Submission Form (1/3 width) */}
             <div className="lg:col-span-1 space-y-8">
-                <ReviewForm />
+                <ReviewForm
+                    userHash={userHash}
+                    reviews={reviews}
+                    products={products}
+                    reviewLimit={reviewLimit}
+                    reviewLimits={reviewLimits}
+                    onReviewSubmit={onReviewSubmit}
+                />
             </div>
 
             {/* Latest Reviews List (2/3 width) */}
@@ -516,7 +2526,11 @@ const UserDashboard = React.memo(({ userHash, reviews, reviewLimit, onReviewSubm
                         <div className="text-center py-10 text-gray-500">No reviews match your search.</div>
                     ) : (
                         filteredReviews.map(review => (
-                            <ReviewCard key={review.id} review={review} />
+                            <ReviewCard
+                                key={review.id}
+                                review={review}
+                                onReport={review.is_own || review.hash_id === userHash ? undefined : onReviewReport}
+                            />
                         ))
                     )}
                 </div>
@@ -530,8 +2544,11 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [ageRange, setAgeRange] = useState(ageRanges[0]);
+    const [signupPassword, setSignupPassword] = useState(''); // Used for User Signup
+    const [recoveryCode, setRecoveryCode] = useState(''); // Used for User Signup (claiming an account without a password)
     const [username, setUsername] = useState(''); // Used for Admin Login
     const [password, setPassword] = useState(''); // Used for Admin Login
+    const [userNameLogin, setUserNameLogin] = useState(''); // Used for User Login
     const [userEmailLogin, setUserEmailLogin] = useState(''); // Used for User Login
     const [userPasswordLogin, setUserPasswordLogin] = useState(''); // Used for User Login
 
@@ -540,27 +2557,27 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
         if (authType === 'admin') {
             handleAdminLogin(username, password);
         } else if (authType === 'signup') {
-            handleUserSignup(name, email, ageRange);
+            handleUserSignup(name, email, ageRange, signupPassword, recoveryCode);
         } else if (authType === 'login') {
-            handleUserLogin(userEmailLogin, userPasswordLogin);
+            handleUserLogin(userNameLogin, userEmailLogin, userPasswordLogin);
         }
     };
 
     const isButtonDisabled = isSubmitting || 
         (authType === 'admin' && (!username.trim() || !password.trim())) ||
-        (authType === 'signup' && (!name.trim() || !email.trim())) ||
-        (authType === 'login' && (!userEmailLogin.trim() || !userPasswordLogin.trim()));
+        (authType === 'signup' && (!name.trim() || !email.trim() || signupPassword.length < MIN_PASSWORD_LENGTH)) ||
+        (authType === 'login' && (!userNameLogin.trim() || !userEmailLogin.trim() || !userPasswordLogin));
 
     const titleMap = {
-        login: 'User Login (Demo)',
+        login: 'User Login',
         signup: 'User Signup (Anonymity First)',
-        admin: 'Admin Console Login',
+        admin: 'Staff Console Login',
     };
 
     const buttonMap = {
         login: 'Login with Credentials',
         signup: 'Sign Up & Generate Anonymous ID',
-        admin: 'Log In as Admin',
+        admin: 'Log In as Staff',
     };
 
     return (
@@ -573,8 +2590,8 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
                     {titleMap[authType]}
                 </h2>
                 <p className="text-center text-sm text-gray-500 mb-8">
-                    {authType === 'signup' && 'Your data is instantly cryptographically hashed.'}
-                    {authType === 'admin' && 'Hardcoded credentials: admin / admin'}
+                    {authType === 'signup' && 'Your name and email are turned into a keyed pseudonymous ID on the server.'}
+                    {authType === 'admin' && 'For viewers, product moderators and admins. Accounts are managed on the server.'}
                 </p>
 
                 {message && (
@@ -624,12 +2641,34 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
                             >
                                 {ageRanges.map(range => <option key={range} value={range}>{range}</option>)}
                             </select>
+                            <input
+                                type="password"
+                                placeholder={`Password (min. ${MIN_PASSWORD_LENGTH} characters)`}
+                                value={signupPassword}
+                                onChange={(e) => setSignupPassword(e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                            />
+                            <input
+                                type="text"
+                                placeholder="Recovery code (optional)"
+                                value={recoveryCode}
+                                onChange={(e) => setRecoveryCode(e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                            />
                             <p className="text-xs text-gray-500 text-center mt-2">
                                 NOTE: Name/Email are used *only* to generate your unique, anonymous hash ID.
+                                Signed up before passwords existed? Ask an administrator for a recovery code and enter it here to set your password.
                             </p>
                         </>
                     ) : ( // User Login (authType === 'login')
                         <>
+                            <input
+                                type="text"
+                                placeholder="Your Signup Name"
+                                value={userNameLogin}
+                                onChange={(e) => setUserNameLogin(e.target.value)}
+                                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
+                            />
                             <input
                                 type="email"
                                 placeholder="Your Signup Email"
@@ -637,15 +2676,15 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
                                 onChange={(e) => setUserEmailLogin(e.target.value)}
                                 className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
                             />
-                             <input
+                            <input
                                 type="password"
-                                placeholder="Your Signup Name (for hash check)"
+                                placeholder="Password"
                                 value={userPasswordLogin}
                                 onChange={(e) => setUserPasswordLogin(e.target.value)}
                                 className="w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 shadow-sm"
                             />
                             <p className="text-xs text-gray-500 text-center mt-2">
-                                Login checks if your anonymous ID exists based on these credentials.
+                                Name and email locate your anonymous ID; your password proves it is yours.
                             </p>
                         </>
                     )}
@@ -685,130 +2724,231 @@ const AuthScreen = React.memo(({ setAuthType, authType, handleAdminLogin, handle
 });
 
 
+// `onLogout` is optional; without it (on the login screen) no logout button is shown
+const Header = React.memo(({ onLogout }) => (
+    <div className="flex justify-between items-center mb-8 border-b pb-4">
+        <h1 className="text-3xl font-extrabold text-gray-900 flex items-center">
+            <BarChart3 className="w-8 h-8 text-indigo-600 mr-2" />
+            <span className="text-indigo-600">MyCox</span> Insights Platform (Mock)
+        </h1>
+        
+        {onLogout && (
+            <button 
+                onClick={onLogout}
+                className="flex items-center text-sm font-medium text-red-500 hover:text-red-700 bg-red-50 px-3 py-2 rounded-lg transition duration-150"
+            >
+                <LogIn className="w-4 h-4 rotate-180 mr-1" /> Logout
+            </button>
+        )}
+    </div>
+));
+
 // --- Main App Component ---
 const App = () => {
   const [currentUserHash, setCurrentUserHash] = useState(null);
   const [reviews, setReviews] = useState([]);
-  const [users, setUsers] = useState({}); // Hash -> User details
-  const [userReviewCounts, setUserReviewCounts] = useState({}); // Hash -> { count: N }
+  const [products, setProducts] = useState([]); // Catalog from /api/products (staff also receive archived products)
+  const [currentReviewLimit, setCurrentReviewLimit] = useState(0); // Reviews posted by the current user
+  const [reviewLimits, setReviewLimits] = useState(DEFAULT_REVIEW_LIMITS); // Server-configured review quotas
   const [view, setView] = useState('auth'); // 'auth', 'user', 'admin'
   const [authType, setAuthType] = useState('signup'); // 'login', 'signup', 'admin'
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [session, setSession] = useState(null); // Server session payload { sub, role, products?, exp }
+
+  const isStaffSession = STAFF_ROLES.includes(session?.role);
 
-  // 1. Initialization: Load mock data into local state
+  // 1. Initialization: Restore any existing session cookie
   useEffect(() => {
     const initData = async () => {
-        const initialData = await generateInitialState();
-        setUsers(initialData.users);
-        setReviews(initialData.reviews);
-        setUserReviewCounts(initialData.userReviewCounts);
-        setLoading(false);
+        try {
+            const existingSession = await apiRequest('/api/auth/session').then(data => data.session).catch(() => null);
+            if (STAFF_ROLES.includes(existingSession?.role)) {
+                setSession(existingSession);
+                setView('admin');
+            } else if (existingSession?.role === 'user') {
+                const { reviewCount, reviewLimits: limits } = await apiRequest('/api/users');
+                setSession(existingSession);
+                setCurrentUserHash(existingSession.sub);
+                setCurrentReviewLimit(reviewCount);
+                setReviewLimits(limits);
+                setView('user');
+            }
+        } catch (e) {
+            console.error("Failed to restore session:", e);
+        } finally {
+            setLoading(false);
+        }
     };
     initData();
   }, []);
-  
-  const currentReviewLimit = currentUserHash ? (userReviewCounts[currentUserHash]?.count || 0) : 0;
+
+  // 2. Load the product catalog and the reviews this session may see (the server scopes them by role)
+  useEffect(() => {
+    if (!session) {
+        setReviews([]);
+        setProducts([]);
+        return;
+    }
+    let cancelled = false;
+    Promise.all([apiRequest('/api/reviews'), apiRequest('/api/products')])
+        .then(([reviewData, productData]) => {
+            if (cancelled) return;
+            setReviews(reviewData.reviews);
+            setProducts(productData.products);
+        })
+        .catch(e => {
+            console.error("Failed to load reviews:", e);
+            if (!cancelled) setMessage({ type: 'error', text: 'Could not load reviews from the server.' });
+        });
+    return () => { cancelled = true; };
+  }, [session?.sub, session?.role]);
 
 
-  // --- AUTH HANDLERS (In-Memory Simulation) ---
+  // --- AUTH HANDLERS ---
   
-  const clearAuth = () => {
+  const resetAuthState = useCallback(() => {
+    setSession(null);
     setCurrentUserHash(null);
+    setCurrentReviewLimit(0);
     setView('auth');
     setAuthType('signup');
+  }, []);
+
+  const clearAuth = async () => {
+    try {
+        await apiRequest('/api/auth/logout', { method: 'POST' });
+    } catch (e) {
+        console.error("Logout request failed:", e);
+    }
+    resetAuthState();
     setMessage(null);
   }
 
-  const handleAdminLogin = (username, password) => {
+  // Drop back to the login screen once the server session expires
+  useEffect(() => {
+    if (!session?.exp) return;
+    const timeout = setTimeout(() => {
+        resetAuthState();
+        setAuthType(STAFF_ROLES.includes(session.role) ? 'admin' : 'login');
+        setMessage({ type: 'error', text: 'Your session has expired. Please log in again.' });
+    }, Math.max(session.exp * 1000 - Date.now(), 0));
+    return () => clearTimeout(timeout);
+  }, [session, resetAuthState]);
+
+  const handleAdminLogin = async (username, password) => {
     setIsSubmitting(true);
-    if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-      setView('admin');
-      setMessage(null);
-    } else {
-      setMessage({ type: 'error', text: 'Invalid admin credentials.' });
+    setMessage(null);
+    try {
+        const { session } = await apiRequest('/api/auth/admin-login', { method: 'POST', body: { username, password } });
+        setSession(session);
+        setView('admin');
+    } catch (e) {
+        setMessage({ type: 'error', text: e.status === 401 ? 'Invalid admin credentials.' : 'Admin login failed due to a server error.' });
+    } finally {
+        setIsSubmitting(false);
     }
-    setIsSubmitting(false);
   };
   
-  const handleUserLogin = async (email, name) => {
+  const handleUserLogin = async (name, email, password) => {
     setIsSubmitting(true);
     setMessage(null);
     try {
-        const hash = await hashPII(name, email);
-
-        if (users[hash]) {
-            setCurrentUserHash(hash);
-            setView('user');
-            setMessage({ type: 'success', text: `Welcome back! Logged in anonymously as user hash ID starting with: ${hash.substring(0, 10)}...` });
-        } else {
-            setMessage({ type: 'error', text: 'User hash not found. Please sign up first.' });
-        }
+        // The server derives the anonymous ID from name + email; raw PII is never hashed in the browser
+        const { session, reviewCount, reviewLimits: limits } = await apiRequest('/api/auth/user-login', { method: 'POST', body: { name, email, password } });
+        const hash = session.sub;
+
+        setSession(session);
+        setCurrentUserHash(hash);
+        setCurrentReviewLimit(reviewCount);
+        setReviewLimits(limits);
+        setView('user');
+        setMessage({ type: 'success', text: `Welcome back! Logged in anonymously as user hash ID starting with: ${hash.substring(0, 10)}...` });
     } catch (e) {
-        setMessage({ type: 'error', text: 'Error during login check.' });
+        setMessage({ type: 'error', text: e.status === 401 ? 'Invalid name, email or password.' : 'Error during login check.' });
     }
     setIsSubmitting(false);
   }
 
-  const handleUserSignup = async (name, email, ageRange) => {
+  const handleUserSignup = async (name, email, ageRange, password, recoveryCode) => {
     setIsSubmitting(true);
     setMessage(null);
     
     try {
-        const hash = await hashPII(name, email);
-
-        if (users[hash]) {
-            setMessage({ type: 'error', text: 'You are already signed up. Please use the login option.' });
-            setAuthType('login');
-            return;
-        }
-
-        if (Object.keys(users).length >= MAX_USERS) {
-            setMessage({ type: 'error', text: `User signup limit of ${MAX_USERS} reached. Mock system is full.` });
-            return;
-        }
-
-        // 1. Create the user's anonymous hash entry
-        const newUser = { hash, ageRange, createdAt: new Date().toISOString() };
-        setUsers(prev => ({ ...prev, [hash]: newUser }));
-        
-        // 2. Initialize review count to 0
-        setUserReviewCounts(prev => ({ ...prev, [hash]: { count: 0 } }));
-
+        // The server derives the anonymous ID, rejects duplicates (409), enforces the signup limits and starts the session.
+        // With an admin-issued recovery code, an existing account without a password is claimed instead
+        // (claimed: true) and keeps its reviews.
+        const body = { name, email, ageRange, password, ...(recoveryCode.trim() && { recoveryCode: recoveryCode.trim() }) };
+        const { session, reviewCount, reviewLimits: limits, claimed } = await apiRequest('/api/users', { method: 'POST', body });
+        const hash = session.sub;
+
+        setSession(session);
         setCurrentUserHash(hash);
+        setCurrentReviewLimit(reviewCount);
+        setReviewLimits(limits);
         setView('user');
-        setMessage({ type: 'success', text: `Signup successful! Your anonymous ID starts with: ${hash.substring(0, 10)}...` });
+        setMessage({
+            type: 'success',
+            text: claimed
+                ? `Password set for your existing account. Your anonymous ID starts with: ${hash.substring(0, 10)}...`
+                : `Signup successful! Your anonymous ID starts with: ${hash.substring(0, 10)}...`,
+        });
 
     } catch (e) {
         console.error("Signup failed:", e);
-        setMessage({ type: 'error', text: 'Signup failed due to an application error.' });
+        setMessage({ type: 'error', text: describeApiError(e, 'Signup failed due to an application error.') });
+        if (e.status === 409) setAuthType('login');
     } finally {
         setIsSubmitting(false);
     }
   };
   
-  // --- DATA HANDLER (In-Memory Simulation) ---
-  const handleReviewSubmit = useCallback((newReview) => {
-    return new Promise(resolve => {
-        const reviewWithId = {
-            ...newReview,
-            id: `mock-review-${Date.now()}-${Math.random()}`,
-        };
-        
-        // 1. Add review to the main list
-        setReviews(prevReviews => [reviewWithId, ...prevReviews]); // Add to the front to appear first
-        
-        // 2. Update user's review count
-        setUserReviewCounts(prevCounts => ({
-            ...prevCounts,
-            [newReview.hash_id]: { 
-                count: (prevCounts[newReview.hash_id]?.count || 0) + 1 
-            }
-        }));
-        
-        resolve();
+  // --- DATA HANDLER ---
+  const handleReviewSubmit = useCallback(async (newReview) => {
+    const { review } = await apiRequest('/api/reviews', { method: 'POST', body: newReview });
+
+    // 1. Add the stored review to the front of the list so it appears first
+    setReviews(prevReviews => [review, ...prevReviews]);
+
+    // 2. Update user's review count
+    setCurrentReviewLimit(prevCount => prevCount + 1);
+    return review;
+  }, []);
+
+  // Errors are left to the ReviewCard that sent the report
+  const handleReviewReport = useCallback(async (reviewId, reason) => {
+    await apiRequest('/api/reports', { method: 'POST', body: { reviewId, reason } });
+  }, []);
+
+  // `review` is the updated record, or null when the review was deleted
+  const handleReviewModerated = useCallback((reviewId, review) => {
+    setReviews(prev => (review ? prev.map(r => (r.id === reviewId ? review : r)) : prev.filter(r => r.id !== reviewId)));
+  }, []);
+
+  // --- PRODUCT CATALOG HANDLERS ---
+  const handleProductSaved = useCallback((product) => {
+    setProducts(prev => {
+        const others = prev.filter(p => p.id !== product.id);
+        return [...others, product].sort((a, b) => a.name.localeCompare(b.name));
     });
+    // Keep displayed names in sync after a rename
+    setReviews(prev => prev.map(r => r.product_id === product.id ? { ...r, product_name: product.name } : r));
+  }, []);
+
+  const handleProductDeleted = useCallback((productId) => {
+    setProducts(prev => prev.filter(p => p.id !== productId));
+  }, []);
+
+  // Imports can add thousands of rows, so reload the list instead of merging them in
+  const handleReviewsImported = useCallback(async () => {
+    try {
+        const { reviews: refreshed } = await apiRequest('/api/reviews');
+        setReviews(refreshed);
+    } catch (e) {
+        console.error("Failed to reload reviews:", e);
+        setMessage({ type: 'error', text: 'Reviews were imported but could not be reloaded.' });
+    }
   }, []);
 
   // --- RENDER LOGIC ---
@@ -817,29 +2957,11 @@ const App = () => {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-50 font-inter">
         <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
-        <p className="ml-3 text-lg font-medium text-gray-700">Loading In-Memory Data...</p>
+        <p className="ml-3 text-lg font-medium text-gray-700">Loading Reviews...</p>
       </div>
     );
   }
   
-  const Header = () => (
-    <div className="flex justify-between items-center mb-8 border-b pb-4">
-        <h1 className="text-3xl font-extrabold text-gray-900 flex items-center">
-            <BarChart3 className="w-8 h-8 text-indigo-600 mr-2" />
-            <span className="text-indigo-600">MyCox</span> Insights Platform (Mock)
-        </h1>
-        
-        {view !== 'auth' && (
-            <button 
-                onClick={clearAuth}
-                className="flex items-center text-sm font-medium text-red-500 hover:text-red-700 bg-red-50 px-3 py-2 rounded-lg transition duration-150"
-            >
-                <LogIn className="w-4 h-4 rotate-180 mr-1" /> Logout
-            </button>
-        )}
-    </div>
-  );
-
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col items-center p-4 sm:p-8 font-inter">
       <script src="https://cdn.tailwindcss.com"></script>
@@ -849,7 +2971,7 @@ const App = () => {
       `}</style>
       
       <div className="w-full max-w-6xl bg-transparent mt-6">
-        <Header />
+        <Header onLogout={view !== 'auth' ? clearAuth : undefined} />
         
         {view === 'auth' && (
           <div className="flex justify-center pt-10">
@@ -865,18 +2987,27 @@ const App = () => {
           </div>
         )}
 
-        {view === 'user' && currentUserHash && (
+        {view === 'user' && session?.role === 'user' && currentUserHash && (
             <UserDashboard 
                 userHash={currentUserHash}
                 reviews={reviews}
+                products={products}
                 reviewLimit={currentReviewLimit}
+                reviewLimits={reviewLimits}
                 onReviewSubmit={handleReviewSubmit}
+                onReviewReport={handleReviewReport}
             />
         )}
         
-        {view === 'admin' && (
+        {view === 'admin' && isStaffSession && (
             <AdminDashboard 
                 reviews={reviews} 
+                products={products}
+                session={session}
+                onProductSaved={handleProductSaved}
+                onProductDeleted={handleProductDeleted}
+                onReviewsImported={handleReviewsImported}
+                onReviewModerated={handleReviewModerated}
             />
         )}
       </div>
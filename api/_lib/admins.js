@@ -0,0 +1,51 @@
+/**
+ * Staff account lookup (viewers, product moderators and admins). Accounts come from two places:
+ *   - ADMIN_ACCOUNTS env var: comma-separated entries of the form
+ *       "username:scrypt$salt$hash"                          (role defaults to admin)
+ *       "username:role:scrypt$salt$hash"
+ *       "username:moderator:prod-1|prod-2:scrypt$salt$hash"     (moderators list product ids)
+ *   - the 'admins' collection in the data store ({ id: username, username, role, products, passwordHash })
+ * Environment accounts take precedence. Create accounts with scripts/create-admin.js.
+ * Moderator entries must list product ids: env entries that list product names (the format before the
+ * catalog existed) are rejected with an error in the log, since a name stops matching once the product
+ * is renamed. Stored accounts are migrated to ids by the catalog (see products.js).
+ *
+ * File path: api/_lib/admins.js
+ */
+
+const { getStore } = require('./store');
+const { STAFF_ROLES } = require('./permissions');
+const { PRODUCT_ID_PATTERN, listProducts } = require('./products');
+
+const parseEnvAccounts = () => String(process.env.ADMIN_ACCOUNTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const parts = entry.split(':');
+        const passwordHash = parts.pop();
+        const [username, role = 'admin', products = ''] = parts;
+        return { username, role, products: products.split('|').filter(Boolean), passwordHash };
+    })
+    .filter(account => account.username && account.passwordHash && STAFF_ROLES.includes(account.role))
+    .filter(account => {
+        const names = account.products.filter(entry => !PRODUCT_ID_PATTERN.test(entry));
+        if (names.length > 0) {
+            console.error(`ADMIN_ACCOUNTS entry "${account.username}" lists products by name (${names.join(', ')}); use product ids such as prod-1. The account is disabled.`);
+        }
+        return names.length === 0;
+    });
+
+const findAdmin = async (username) => {
+    const envAccount = parseEnvAccounts().find(account => account.username === username);
+    if (envAccount) return envAccount;
+
+    const store = getStore();
+    // Makes sure stored moderator accounts have been migrated from product names to ids
+    await listProducts(store);
+    const storedAccount = await store.get('admins', username);
+    // Accounts created before roles existed are full admins
+    return storedAccount && { role: 'admin', products: [], ...storedAccount };
+};
+
+module.exports = { findAdmin };
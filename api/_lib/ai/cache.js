@@ -0,0 +1,78 @@
+/**
+ * Response cache and in-flight deduplication for model calls.
+ *
+ * Results are keyed on provider, model, system prompt, messages, response schema and tool flags,
+ * and kept in the 'ai_cache' collection of the configured store (memory or file, see
+ * ../store/index.js) for AI_CACHE_TTL_SECONDS (default 3600; 0 disables caching):
+ *   { id: <key>, result, createdAt, expiresAt }
+ * Identical calls that arrive while one is already running share its upstream request instead
+ * of starting their own; this happens within one function instance even when caching is off.
+ *
+ * Callers get back how the result was produced: 'MISS' (called the model), 'HIT' (from the
+ * cache) or 'SHARED' (joined an identical in-flight call).
+ *
+ * File path: api/_lib/ai/cache.js
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// cache key -> promise of the result being produced
+const inFlight = new Map();
+
+const getCacheTtlSeconds = () => {
+    const value = Number(process.env.AI_CACHE_TTL_SECONDS);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_TTL_SECONDS;
+};
+
+const buildCacheKey = (providerName, { model, systemPrompt, messages, responseSchema, useSearch }) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([providerName, model, systemPrompt || '', messages, responseSchema || null, Boolean(useSearch)]))
+    .digest('hex');
+
+const isFresh = (entry) => entry && Date.parse(entry.expiresAt) > Date.now();
+
+// Stores a result and drops expired entries. Cache writes never fail the request.
+const saveEntry = async (store, key, result, ttlSeconds) => {
+    try {
+        const entries = await store.list('ai_cache');
+        for (const entry of entries.filter(e => e.id !== key && !isFresh(e))) {
+            await store.remove('ai_cache', entry.id);
+        }
+
+        const now = Date.now();
+        const record = { result, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlSeconds * 1000).toISOString() };
+        if (entries.some(e => e.id === key)) await store.update('ai_cache', key, record);
+        else await store.insert('ai_cache', { id: key, ...record });
+    } catch (error) {
+        console.warn('Could not write AI response cache:', error.message);
+    }
+};
+
+// Resolves to { result, cache } for the key, running produce() only when there is neither a
+// fresh cached result nor an identical call in flight. Only results passing shouldCache are stored.
+const withResponseCache = async (store, key, produce, { shouldCache = () => true } = {}) => {
+    const ttlSeconds = getCacheTtlSeconds();
+    if (ttlSeconds > 0) {
+        const entry = await store.get('ai_cache', key);
+        if (isFresh(entry)) return { result: entry.result, cache: 'HIT' };
+    }
+
+    if (inFlight.has(key)) return { result: await inFlight.get(key), cache: 'SHARED' };
+
+    const pending = (async () => {
+        const result = await produce();
+        if (ttlSeconds > 0 && shouldCache(result)) await saveEntry(store, key, result, ttlSeconds);
+        return result;
+    })();
+    inFlight.set(key, pending);
+
+    try {
+        return { result: await pending, cache: 'MISS' };
+    } finally {
+        inFlight.delete(key);
+    }
+};
+
+module.exports = { buildCacheKey, withResponseCache };
@@ -0,0 +1,192 @@
+/**
+ * Google Gemini provider (REST API, authenticated with GEMINI_API_KEY).
+ * Translates the normalized provider requests (see ./index.js) into generateContent /
+ * streamGenerateContent payloads and maps the results back to { text, sources, citations, usage }.
+ *
+ * File path: api/_lib/ai/geminiProvider.js
+ */
+
+const { fetchWithRetry } = require('./upstream');
+
+const API_ROOT = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Stable models this deployment may call; AI_MODELS can narrow or replace the list
+const GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+
+// Paid-tier list prices in USD per million tokens (text, prompts up to 200k tokens).
+// Search grounding is billed separately and not included.
+const GEMINI_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+};
+
+// Converts a UTF-8 byte offset into `text` (as used by grounding segments) to a string index
+const byteToCharIndex = (text, byteOffset) => Buffer.from(text, 'utf8').subarray(0, byteOffset).toString('utf8').length;
+
+// Sources and citations from a candidate's grounding metadata: { sources, citations }.
+// `parts` are the texts whose concatenation is the answer; segment offsets are relative to the
+// part named by `partIndex`. Citations are { start, end, sourceIndices } over the answer text,
+// ordered by where they end. The older groundingAttributions format carries no segments, so it
+// yields sources only.
+const extractGrounding = (candidate, parts) => {
+    const metadata = candidate?.groundingMetadata;
+    if (!metadata) return { sources: [], citations: [] };
+
+    if (!metadata.groundingChunks?.length) {
+        const sources = (metadata.groundingAttributions || [])
+            .map(attribution => ({
+                uri: attribution.web?.uri,
+                title: attribution.web?.title,
+            }))
+            .filter(source => source.uri && source.title);
+        return { sources, citations: [] };
+    }
+
+    // Several chunks can point at the same page; number each page once
+    const sources = [];
+    const sourceIndexByUri = new Map();
+    const chunkSourceIndex = metadata.groundingChunks.map(chunk => {
+        const uri = chunk.web?.uri;
+        if (!uri) return -1;
+        if (!sourceIndexByUri.has(uri)) {
+            sourceIndexByUri.set(uri, sources.length);
+            sources.push({ uri, title: chunk.web.title || uri });
+        }
+        return sourceIndexByUri.get(uri);
+    });
+
+    const partStarts = parts.map((_, i) => parts.slice(0, i).join('').length);
+    const citations = (metadata.groundingSupports || [])
+        .map(support => {
+            const segment = support.segment || {};
+            const partIndex = segment.partIndex || 0;
+            const partText = parts[partIndex];
+            if (partText === undefined || segment.endIndex === undefined) return null;
+
+            const start = partStarts[partIndex] + byteToCharIndex(partText, segment.startIndex || 0);
+            const end = partStarts[partIndex] + byteToCharIndex(partText, segment.endIndex);
+            const sourceIndices = Array.from(new Set((support.groundingChunkIndices || [])
+                .map(index => chunkSourceIndex[index])
+                .filter(index => index >= 0)))
+                .sort((a, b) => a - b);
+            if (end <= start || sourceIndices.length === 0) return null;
+            return { start, end, sourceIndices };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.end - b.end || a.start - b.start);
+
+    return { sources, citations };
+};
+
+// Maps usageMetadata from a generateContent result (or stream chunk) to the normalized usage shape
+const extractUsage = (result) => ({
+    promptTokens: result?.usageMetadata?.promptTokenCount || 0,
+    outputTokens: result?.usageMetadata?.candidatesTokenCount || 0,
+    totalTokens: result?.usageMetadata?.totalTokenCount || 0,
+});
+
+const candidateParts = (candidate) => (candidate?.content?.parts || []).map(part => part.text || '');
+
+const candidateText = (candidate) => candidateParts(candidate).join('');
+
+// Builds the generateContent payload for a normalized request
+const buildPayload = ({ systemPrompt, messages, responseSchema, useSearch }) => {
+    const payload = {
+        contents: messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+    };
+
+    if (systemPrompt) {
+        payload.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+
+    // Add Google Search grounding if requested
+    if (useSearch) {
+        payload.tools = [{ "google_search": {} }];
+    }
+
+    // Ask for JSON output matching the schema
+    if (responseSchema) {
+        payload.generationConfig = {
+            responseMimeType: 'application/json',
+            responseSchema,
+        };
+    }
+    return payload;
+};
+
+// Parses a streamGenerateContent (alt=sse) body into normalized chunks: { text, sources, citations, usage }
+async function* readStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    // Grounding segments in the final chunks point into the whole answer, not the chunk
+    let answer = '';
+
+    const parseEvent = (rawEvent) => {
+        const data = rawEvent
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('');
+        if (!data) return null;
+
+        const parsed = JSON.parse(data);
+        const candidate = parsed.candidates?.[0];
+        const text = candidateText(candidate);
+        answer += text;
+        return {
+            text,
+            // Grounding metadata and usage arrive with the final chunks
+            ...extractGrounding(candidate, [answer]),
+            usage: parsed.usageMetadata ? extractUsage(parsed) : null,
+        };
+    };
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const chunk = parseEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (chunk) yield chunk;
+        }
+    }
+    if (buffer.trim()) {
+        const chunk = parseEvent(buffer);
+        if (chunk) yield chunk;
+    }
+}
+
+const createGeminiProvider = ({ apiKey }) => ({
+    name: 'gemini',
+    models: GEMINI_MODELS,
+    pricing: GEMINI_PRICING,
+    defaultModel: 'gemini-2.5-flash',
+
+    isConfigured: () => Boolean(apiKey),
+
+    async generate(request, { signal, retries, deadline } = {}) {
+        const apiUrl = `${API_ROOT}/${request.model}:generateContent?key=${apiKey}`;
+        const upstream = await fetchWithRetry('gemini', apiUrl, buildPayload(request), { signal, retries, deadline, readJson: true });
+        if (!upstream.ok) return upstream;
+
+        const result = upstream.data;
+        const candidate = result.candidates?.[0];
+        const text = candidateText(candidate);
+        const usage = extractUsage(result);
+        if (!text) {
+            // Handle cases where API returns OK but content is empty
+            return { ok: false, status: 502, body: { error: 'Generated content was empty or malformed.', code: 'UPSTREAM_ERROR', result }, usage };
+        }
+        return { ok: true, text, ...extractGrounding(candidate, candidateParts(candidate)), usage };
+    },
+
+    async stream(request, { signal, deadline } = {}) {
+        const apiUrl = `${API_ROOT}/${request.model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+        const upstream = await fetchWithRetry('gemini', apiUrl, buildPayload(request), { signal, deadline });
+        if (!upstream.ok) return upstream;
+        return { ok: true, chunks: readStream(upstream.response.body) };
+    },
+});
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,69 @@
+/**
+ * Model provider registry shared by /api/generate and server-side AI features (e.g. review
+ * screening). The provider is chosen with the AI_PROVIDER environment variable ('gemini' by
+ * default, 'mock' for offline development) and created once per function instance.
+ *
+ * Model selection:
+ *   AI_MODEL   default model for requests that do not name one (else the provider's default)
+ *   AI_MODELS  comma-separated allow-list of models a request may pick (else the provider's list)
+ *
+ * Every provider exposes the same interface:
+ *   name, models, defaultModel
+ *   pricing                            model -> { input, output } in USD per million tokens
+ *   isConfigured()                     -> false when credentials are missing
+ *   generate(request, { signal, retries, deadline })
+ *                                      -> { ok: true, text, sources, citations, usage } or { ok: false, status, body }
+ *   stream(request, { signal, deadline }) -> { ok: true, chunks } or { ok: false, status, body }, where chunks
+ *                                         is an async iterable of { text, sources, citations, usage }
+ *                                         (grounding and usage on the last ones)
+ * with request = { model, systemPrompt, messages: [{ role: 'user'|'model', text }], responseSchema, useSearch }
+ * and usage = { promptTokens, outputTokens, totalTokens }. sources = [{ uri, title }] for grounded
+ * requests; citations = [{ start, end, sourceIndices }] ties a span of the answer text (string
+ * indices, end exclusive) to entries of `sources`, and is empty when the provider gives no spans. `deadline` is an epoch-ms bound for the
+ * whole call including retries; failures carry the codes described in upstream.js.
+ *
+ * File path: api/_lib/ai/index.js
+ */
+
+const PROVIDERS = {
+    gemini: () => require('./geminiProvider').createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY }),
+    mock: () => require('./mockProvider').createMockProvider(),
+};
+
+let provider = null;
+
+const getProvider = () => {
+    if (provider) return provider;
+
+    const providerName = process.env.AI_PROVIDER || 'gemini';
+    const createProvider = PROVIDERS[providerName];
+    if (!createProvider) {
+        throw new Error(`Unknown AI_PROVIDER "${providerName}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+
+    provider = createProvider();
+    return provider;
+};
+
+const getDefaultModel = () => process.env.AI_MODEL || getProvider().defaultModel;
+
+const getAllowedModels = () => {
+    const configured = String(process.env.AI_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+    const models = configured.length > 0 ? configured : getProvider().models;
+    return Array.from(new Set([getDefaultModel(), ...models]));
+};
+
+// Returns the model to call for a request, or null when the requested one is not allowed
+const resolveModel = (requested) => {
+    if (requested === undefined || requested === null || requested === '') return getDefaultModel();
+    return getAllowedModels().includes(requested) ? requested : null;
+};
+
+// Estimated cost of a call in USD, or null when the model has no known price
+const estimateCostUsd = (model, usage) => {
+    const price = getProvider().pricing?.[model];
+    if (!price) return null;
+    return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+};
+
+module.exports = { getProvider, getDefaultModel, getAllowedModels, resolveModel, estimateCostUsd };
@@ -0,0 +1,89 @@
+/**
+ * Offline provider for development and tests (AI_PROVIDER=mock). Makes no network calls and
+ * answers deterministically: the same request always produces the same output.
+ *
+ *   - Free text: a fixed sentence that quotes the start of the last user message.
+ *   - responseSchema: a value built from the schema (first enum value, minimum numbers,
+ *     minItems array entries), so it always passes validation.
+ *   - useSearch: one fixed example source, cited for the whole answer.
+ *
+ * Token usage is estimated from the text length.
+ *
+ * File path: api/_lib/ai/mockProvider.js
+ */
+
+const { estimateTokens } = require('../aiUsage');
+
+const MOCK_SOURCE = { uri: 'https://example.com/mock-source', title: 'Mock source' };
+
+// Words per streamed chunk, so the client sees several chunk events
+const STREAM_CHUNK_WORDS = 4;
+
+// Builds the smallest value that satisfies the schema subset supported by schema.js
+const buildFixture = (schema) => {
+    if (schema.enum?.length) return schema.enum[0];
+
+    switch (String(schema.type || '').toLowerCase()) {
+        case 'object': {
+            const properties = schema.properties || {};
+            return Object.fromEntries(Object.entries(properties).map(([key, property]) => [key, buildFixture(property)]));
+        }
+        case 'array':
+            return Array.from({ length: Math.max(schema.minItems || 0, 1) }, () => buildFixture(schema.items || { type: 'STRING' }));
+        case 'number':
+            return schema.minimum ?? 0.5;
+        case 'integer':
+            return schema.minimum ?? 1;
+        case 'boolean':
+            return false;
+        case 'string':
+            return 'mock';
+        default:
+            return null;
+    }
+};
+
+const buildResponse = ({ model, systemPrompt, messages, responseSchema, useSearch }) => {
+    const lastUserText = [...messages].reverse().find(message => message.role === 'user')?.text || '';
+    const text = responseSchema
+        ? JSON.stringify(buildFixture(responseSchema))
+        : `Mock response from ${model} for: "${lastUserText.slice(0, 80)}"`;
+
+    const promptTokens = estimateTokens((systemPrompt || '') + messages.map(message => message.text).join(''));
+    const outputTokens = estimateTokens(text);
+    return {
+        text,
+        sources: useSearch ? [MOCK_SOURCE] : [],
+        citations: useSearch ? [{ start: 0, end: text.length, sourceIndices: [0] }] : [],
+        usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens },
+    };
+};
+
+async function* streamWords({ text, sources, citations, usage }) {
+    const words = text.split(/(?<=\s)/);
+    for (let i = 0; i < words.length; i += STREAM_CHUNK_WORDS) {
+        yield { text: words.slice(i, i + STREAM_CHUNK_WORDS).join(''), sources: [], citations: [], usage: null };
+    }
+    yield { text: '', sources, citations, usage };
+}
+
+const createMockProvider = () => ({
+    name: 'mock',
+    models: ['mock-model'],
+    // No real cost, but priced like gemini-2.5-flash-lite so cost reporting and budget alerts can be
+    // exercised offline
+    pricing: { 'mock-model': { input: 0.10, output: 0.40 } },
+    defaultModel: 'mock-model',
+
+    isConfigured: () => true,
+
+    async generate(request) {
+        return { ok: true, ...buildResponse(request) };
+    },
+
+    async stream(request) {
+        return { ok: true, chunks: streamWords(buildResponse(request)) };
+    },
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,215 @@
+/**
+ * Resilient HTTP calls to model providers: retries with backoff, per-attempt timeouts, an overall
+ * deadline and a per-provider circuit breaker.
+ *
+ *   AI_ATTEMPT_TIMEOUT_MS    time one attempt may take before it is aborted (default 20000)
+ *   AI_DEADLINE_MS           time budget for a call including retries and waits (default 50000,
+ *                            below the 60s serverless function limit)
+ *   AI_CIRCUIT_FAILURES      consecutive failed calls that open the circuit (default 3)
+ *   AI_CIRCUIT_COOLDOWN_MS   how long an open circuit fails fast before letting one trial call
+ *                            through (default 30000)
+ *
+ * 429 and 5xx responses and network errors are retried. A 429's Retry-After header is honoured;
+ * other retries back off exponentially with jitter. No wait is started that would end past the
+ * deadline. Failures are reported with a status and machine-readable code:
+ *   UPSTREAM_RATE_LIMITED  429  the provider kept rate limiting us (with retryAfter in seconds)
+ *   UPSTREAM_UNAVAILABLE   502  5xx responses, network errors or an open circuit (with retryAfter)
+ *   UPSTREAM_TIMEOUT       504  the attempt timeout or overall deadline was hit
+ *   UPSTREAM_ERROR         the provider's own status for non-retryable errors (e.g. 400)
+ *   CLIENT_ABORTED         499  the caller's signal fired
+ * Rate limiting and non-retryable errors show the provider is up, so only outages and timeouts
+ * count towards opening the circuit.
+ *
+ * Streamed bodies are read after the call has returned, so the attempt timeout no longer applies to
+ * them; the overall deadline still does. A stream still running at the deadline is aborted and
+ * reading it fails with an error whose code is UPSTREAM_TIMEOUT.
+ *
+ * File path: api/_lib/ai/upstream.js
+ */
+
+const MAX_RETRIES = 5;
+
+const DEFAULT_SETTINGS = {
+    attemptTimeoutMs: ['AI_ATTEMPT_TIMEOUT_MS', 20000],
+    deadlineMs: ['AI_DEADLINE_MS', 50000],
+    circuitFailures: ['AI_CIRCUIT_FAILURES', 3],
+    circuitCooldownMs: ['AI_CIRCUIT_COOLDOWN_MS', 30000],
+};
+
+// Waits shorter than this are not worth starting before the deadline
+const MIN_ATTEMPT_MS = 1000;
+
+const getSettings = () => Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([key, [envName, fallback]]) => {
+    const value = Number(process.env[envName]);
+    return [key, Number.isInteger(value) && value > 0 ? value : fallback];
+}));
+
+// provider name -> { name, failures, openUntil, probing }
+const circuits = new Map();
+
+const getCircuit = (name) => {
+    if (!circuits.has(name)) circuits.set(name, { name, failures: 0, openUntil: 0, probing: false });
+    return circuits.get(name);
+};
+
+// Deadline for a request that may make several provider calls (e.g. a correction retry)
+const getCallDeadline = () => Date.now() + getSettings().deadlineMs;
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+// Retry-After is either a number of seconds or an HTTP date. Returns milliseconds or null.
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const backoffDelay = (attempt) => Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+
+const failure = (status, code, error, extra = {}) => ({ ok: false, status, body: { error, code, ...extra } });
+
+// Frees the connection of a response whose body will not be read
+const discardBody = (response) => response.body?.cancel().catch(() => {});
+
+// Reports the outcome of a call to the circuit breaker
+const recordOutcome = (circuit, isOutage, settings) => {
+    circuit.probing = false;
+    if (!isOutage) {
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+        return;
+    }
+    circuit.failures += 1;
+    if (circuit.failures >= settings.circuitFailures) {
+        circuit.openUntil = Date.now() + settings.circuitCooldownMs;
+        console.warn(`Circuit for ${circuit.name} opened after ${circuit.failures} failed calls.`);
+    }
+};
+
+// One fetch with its own timeout, also aborted when the caller's signal fires.
+// With readJson the body is parsed inside the timeout; otherwise the unread response is returned
+// (streams) and reading it stays cancellable by the caller's signal until `endBy`.
+const attemptFetch = async (url, payload, { signal, timeoutMs, endBy, readJson }) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    // True once an unread stream is returned; its body still needs the caller's signal
+    let streaming = false;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal,
+        });
+        const data = response.ok && readJson ? await response.json() : undefined;
+        if (response.ok && !readJson) {
+            streaming = true;
+            // unref: a stream that finished in time must not keep the process alive
+            setTimeout(() => {
+                const error = new Error('The AI provider did not finish the response in time.');
+                error.code = 'UPSTREAM_TIMEOUT';
+                controller.abort(error);
+            }, endBy - Date.now()).unref();
+        }
+        return { response, data };
+    } catch (error) {
+        error.timedOut = timedOut;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        // Failed and retried attempts drop the listener, so they do not pile up on the caller's signal
+        if (!streaming) signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+// Calls a provider endpoint until a 2xx response is received. Resolves to
+// { ok: true, response, data } (data only with readJson) or { ok: false, status, body }.
+// `retries` lets latency-sensitive callers give up sooner; `deadline` (epoch ms) bounds the whole call.
+const fetchWithRetry = async (providerName, url, payload, { signal, retries = MAX_RETRIES, deadline, readJson = false } = {}) => {
+    const settings = getSettings();
+    const endBy = Math.min(deadline || Infinity, Date.now() + settings.deadlineMs);
+    const circuit = getCircuit(providerName);
+
+    // --- Circuit breaker: fail fast while open, let a single trial call through afterwards ---
+    if (circuit.openUntil > Date.now() || (circuit.openUntil && circuit.probing)) {
+        const waitMs = Math.max(circuit.openUntil - Date.now(), MIN_ATTEMPT_MS);
+        return failure(502, 'UPSTREAM_UNAVAILABLE', 'The AI provider is currently unavailable. Please try again shortly.', { retryAfter: toSeconds(waitMs) });
+    }
+    if (circuit.openUntil) circuit.probing = true;
+
+    let lastFailure = null;
+    for (let attempt = 0; attempt < retries; attempt++) {
+        const remainingMs = endBy - Date.now();
+        if (remainingMs < MIN_ATTEMPT_MS) break;
+
+        let waitMs;
+        try {
+            const { response, data } = await attemptFetch(url, payload, {
+                signal,
+                timeoutMs: Math.min(settings.attemptTimeoutMs, remainingMs),
+                endBy,
+                readJson,
+            });
+
+            // If successful (HTTP 2xx), proceed
+            if (response.ok) {
+                recordOutcome(circuit, false, settings);
+                return { ok: true, response, data };
+            }
+
+            if (response.status === 429) {
+                discardBody(response);
+                waitMs = parseRetryAfter(response.headers?.get('retry-after')) ?? backoffDelay(attempt);
+                console.warn(`Attempt ${attempt + 1}: Rate limited by ${providerName}; retry after ${waitMs} ms.`);
+                lastFailure = failure(429, 'UPSTREAM_RATE_LIMITED', 'The AI provider is rate limiting requests. Please try again shortly.', {
+                    retryAfter: toSeconds(waitMs),
+                });
+            } else if (response.status >= 500) {
+                discardBody(response);
+                console.warn(`Attempt ${attempt + 1}: Retrying due to status ${response.status}.`);
+                lastFailure = failure(502, 'UPSTREAM_UNAVAILABLE', `The AI provider failed with status ${response.status}.`);
+                waitMs = backoffDelay(attempt);
+            } else {
+                // Non-retryable error (e.g., 400 Bad Request)
+                const errorBody = await response.json().catch(() => null);
+                console.error(`Non-retryable API error: ${response.status}`, errorBody);
+                recordOutcome(circuit, false, settings);
+                return failure(response.status, 'UPSTREAM_ERROR', `API call failed with status ${response.status}`, { details: errorBody });
+            }
+        } catch (error) {
+            // The caller went away; there is nobody left to retry for
+            if (signal?.aborted) {
+                circuit.probing = false;
+                return failure(499, 'CLIENT_ABORTED', 'Request aborted by client.');
+            }
+            if (error.timedOut) {
+                console.warn(`Attempt ${attempt + 1}: ${providerName} did not answer in time.`);
+                lastFailure = failure(504, 'UPSTREAM_TIMEOUT', 'The AI provider did not respond in time.');
+            } else {
+                console.error(`Attempt ${attempt + 1}: Fetch error occurred:`, error.message);
+                lastFailure = failure(502, 'UPSTREAM_UNAVAILABLE', 'Failed to connect to the AI provider.', { details: error.message });
+            }
+            waitMs = backoffDelay(attempt);
+        }
+
+        // Give up instead of waiting past the deadline
+        if (attempt === retries - 1 || Date.now() + waitMs + MIN_ATTEMPT_MS > endBy) break;
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    // Rate limiting means the provider is up; everything else counts as an outage
+    const result = lastFailure || failure(504, 'UPSTREAM_TIMEOUT', 'The AI provider did not respond in time.');
+    recordOutcome(circuit, result.status !== 429, settings);
+    return result;
+};
+
+module.exports = { fetchWithRetry, getCallDeadline, parseRetryAfter };
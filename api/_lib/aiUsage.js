@@ -0,0 +1,265 @@
+/**
+ * Per-caller budgets, usage log and cost reporting for model calls.
+ *
+ * Every call (from /api/generate and from server-side features such as review screening) is
+ * appended to the 'ai_usage' collection:
+ *   { id, caller, role, feature, provider, model, promptChars, promptTokens, outputTokens,
+ *     totalTokens, costUsd, latencyMs, status, stream, cache, createdAt }
+ * `feature` is the prompt template id for /api/generate calls. Token counts are the normalized
+ * usage reported by the provider (see ai/index.js) and costUsd is estimated from the provider's
+ * price list (null for unpriced models). Calls that fail before the model answers are logged
+ * with zero tokens so they still count against the request budget. `cache` is the X-Cache
+ * outcome (see ai/cache.js); hits and shared results are logged with zero tokens.
+ *
+ * Per-caller budgets reset at midnight UTC. They are checked against running totals kept per caller
+ * and UTC day in the 'ai_usage_daily' collection ({ id: '<caller>:<yyyy-mm-dd>', caller, day,
+ * requests, totalTokens }), so a check does not read the whole log. Limits (see limits.js) differ
+ * for anonymous users and staff:
+ *   AI_REQUESTS_PER_DAY_USER / AI_TOKENS_PER_DAY_USER
+ *   AI_REQUESTS_PER_DAY_STAFF / AI_TOKENS_PER_DAY_STAFF
+ * A request is refused up front when the caller's tokens so far plus an estimate for the prompt
+ * would exceed the token budget.
+ *
+ * The deployment-wide monthly budget is stored in the 'settings' collection under 'ai-budget':
+ *   { id: 'ai-budget', monthlyBudgetUsd, alertThresholds: [0.5, 0.8, 1], updatedAt, updatedBy }
+ * and defaults to AI_MONTHLY_BUDGET_USD (25). Admins see an alert for every threshold (a share
+ * of the budget) the month's spend has crossed.
+ *
+ * File path: api/_lib/aiUsage.js
+ */
+
+const crypto = require('crypto');
+const { getLimits } = require('./limits');
+const { isStaff } = require('./permissions');
+const { estimateCostUsd } = require('./ai');
+const { isDuplicateIdError } = require('./store');
+
+// Rough size of a token for English text; only used to pre-check budgets before the call
+const CHARS_PER_TOKEN = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_TOTALS_COLLECTION = 'ai_usage_daily';
+const BUDGET_SETTINGS_ID = 'ai-budget';
+const DEFAULT_MONTHLY_BUDGET_USD = 25;
+const DEFAULT_ALERT_THRESHOLDS = [0.5, 0.8, 1];
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+const startOfUtcDay = (now = new Date()) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+const dailyTotalsId = (caller, day) => `${caller}:${day}`;
+
+const startOfUtcMonth = (now = new Date()) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+
+const EMPTY_USAGE = { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+// Adds two usage records, e.g. a structured call and its correction retry
+const addUsage = (a, b) => ({
+    promptTokens: a.promptTokens + b.promptTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+});
+
+const getAiBudget = (session) => {
+    const limits = getLimits();
+    return isStaff(session)
+        ? { requests: limits.aiRequestsPerDayStaff, tokens: limits.aiTokensPerDayStaff }
+        : { requests: limits.aiRequestsPerDayUser, tokens: limits.aiTokensPerDayUser };
+};
+
+// Resolves to null when the caller may make another call today, or an AI_BUDGET_EXCEEDED violation
+const checkAiBudget = async (store, session, estimatedTokens) => {
+    const budget = getAiBudget(session);
+    const dayStart = startOfUtcDay();
+    const today = await store.get(DAILY_TOTALS_COLLECTION, dailyTotalsId(session.sub, new Date(dayStart).toISOString().slice(0, 10)));
+    const requestsUsed = today?.requests || 0;
+    const tokensUsed = today?.totalTokens || 0;
+    const retryAfter = Math.max(1, Math.ceil((dayStart + DAY_MS - Date.now()) / 1000));
+
+    if (requestsUsed >= budget.requests) {
+        return { error: `Daily AI request limit reached (${budget.requests} per day). Please try again tomorrow.`, code: 'AI_BUDGET_EXCEEDED', limit: budget.requests, retryAfter };
+    }
+    if (tokensUsed + estimatedTokens > budget.tokens) {
+        return { error: 'Daily AI token budget reached. Please try again tomorrow.', code: 'AI_BUDGET_EXCEEDED', limit: budget.tokens, retryAfter };
+    }
+    return null;
+};
+
+// Adds a logged call to its caller's running totals for the day
+const addToDailyTotals = async (store, { caller, totalTokens, createdAt }) => {
+    const id = dailyTotalsId(caller, createdAt.slice(0, 10));
+    let totals = await store.get(DAILY_TOTALS_COLLECTION, id);
+    if (!totals) {
+        try {
+            await store.insert(DAILY_TOTALS_COLLECTION, { id, caller, day: createdAt.slice(0, 10), requests: 1, totalTokens: totalTokens || 0 });
+            return;
+        } catch (error) {
+            // A concurrent call created the day's record first
+            if (!isDuplicateIdError(error)) throw error;
+            totals = await store.get(DAILY_TOTALS_COLLECTION, id);
+        }
+    }
+    await store.update(DAILY_TOTALS_COLLECTION, id, { requests: totals.requests + 1, totalTokens: totals.totalTokens + (totalTokens || 0) });
+};
+
+// Appends one call to the log and the caller's daily totals. Resolves to the stored entry.
+const recordAiUsage = async (store, { caller, role, feature, provider, model, promptChars, usage = EMPTY_USAGE, latencyMs, status, stream, cache }) => {
+    const entry = await store.insert('ai_usage', {
+        id: crypto.randomUUID(),
+        caller,
+        role,
+        feature,
+        provider,
+        model,
+        promptChars,
+        promptTokens: usage.promptTokens,
+        outputTokens: usage.outputTokens,
+        totalTokens: usage.totalTokens,
+        costUsd: estimateCostUsd(model, usage),
+        latencyMs,
+        status,
+        stream: Boolean(stream),
+        cache: cache || null,
+        createdAt: new Date().toISOString(),
+    });
+    await addToDailyTotals(store, entry);
+    return entry;
+};
+
+// --- Reporting ---
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+const emptyTotals = () => ({ requests: 0, errors: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, latencyMs: 0 });
+
+const addEntry = (totals, entry) => {
+    totals.requests += 1;
+    if (entry.status !== 200) totals.errors += 1;
+    totals.promptTokens += entry.promptTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    totals.totalTokens += entry.totalTokens || 0;
+    totals.costUsd += entry.costUsd || 0;
+    totals.latencyMs += entry.latencyMs || 0;
+    return totals;
+};
+
+// Replaces the summed latency with the average and rounds the cost
+const finishTotals = ({ latencyMs, costUsd, ...totals }) => ({
+    ...totals,
+    costUsd: roundUsd(costUsd),
+    avgLatencyMs: totals.requests > 0 ? Math.round(latencyMs / totals.requests) : null,
+});
+
+// Totals per UTC day (oldest first, days without calls included) and per feature over the last `days` days
+const summarizeAiUsage = (entries, { days, now = new Date() }) => {
+    const firstDay = startOfUtcDay(now) - (days - 1) * DAY_MS;
+    const inRange = entries.filter(entry => Date.parse(entry.createdAt) >= firstDay);
+
+    const byDay = new Map(Array.from({ length: days }, (_, i) => [new Date(firstDay + i * DAY_MS).toISOString().slice(0, 10), emptyTotals()]));
+    const byFeature = new Map();
+    const overall = emptyTotals();
+    for (const entry of inRange) {
+        const day = byDay.get(entry.createdAt.slice(0, 10));
+        if (day) addEntry(day, entry);
+        const feature = entry.feature || 'unknown';
+        if (!byFeature.has(feature)) byFeature.set(feature, emptyTotals());
+        addEntry(byFeature.get(feature), entry);
+        addEntry(overall, entry);
+    }
+
+    return {
+        days: Array.from(byDay, ([date, totals]) => ({ date, ...finishTotals(totals) })),
+        features: Array.from(byFeature, ([feature, totals]) => ({ feature, ...finishTotals(totals) }))
+            .sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens),
+        totals: finishTotals(overall),
+    };
+};
+
+const getDefaultBudgetSettings = () => {
+    const value = Number(process.env.AI_MONTHLY_BUDGET_USD);
+    return {
+        monthlyBudgetUsd: Number.isFinite(value) && value > 0 ? value : DEFAULT_MONTHLY_BUDGET_USD,
+        alertThresholds: DEFAULT_ALERT_THRESHOLDS,
+    };
+};
+
+const getBudgetSettings = async (store) => {
+    const { id, ...stored } = (await store.get('settings', BUDGET_SETTINGS_ID)) || {};
+    return { ...getDefaultBudgetSettings(), ...stored };
+};
+
+// Returns an error message for an invalid settings patch, or null
+const validateBudgetSettings = ({ monthlyBudgetUsd, alertThresholds }) => {
+    if (monthlyBudgetUsd !== undefined && !(typeof monthlyBudgetUsd === 'number' && Number.isFinite(monthlyBudgetUsd) && monthlyBudgetUsd > 0)) {
+        return 'monthlyBudgetUsd must be a positive number.';
+    }
+    if (alertThresholds !== undefined && (
+        !Array.isArray(alertThresholds)
+        || alertThresholds.length === 0
+        || alertThresholds.length > 5
+        || alertThresholds.some(t => typeof t !== 'number' || !(t > 0 && t <= 2))
+    )) {
+        return 'alertThresholds must be 1 to 5 shares of the budget between 0 and 2 (e.g. [0.5, 0.8, 1]).';
+    }
+    return null;
+};
+
+const saveBudgetSettings = async (store, patch, actor) => {
+    const record = {
+        ...patch,
+        ...(patch.alertThresholds && { alertThresholds: Array.from(new Set(patch.alertThresholds)).sort((a, b) => a - b) }),
+        updatedAt: new Date().toISOString(),
+        updatedBy: actor,
+    };
+    const existing = await store.get('settings', BUDGET_SETTINGS_ID);
+    if (existing) await store.update('settings', BUDGET_SETTINGS_ID, record);
+    else await store.insert('settings', { id: BUDGET_SETTINGS_ID, ...record });
+    return getBudgetSettings(store);
+};
+
+// Month-to-date spend against the budget, a straight-line projection to the end of the month and
+// one alert per crossed threshold (highest first)
+const getBudgetStatus = (entries, settings, now = new Date()) => {
+    const monthStart = startOfUtcMonth(now);
+    const monthEnd = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    const month = entries
+        .filter(entry => Date.parse(entry.createdAt) >= monthStart)
+        .reduce(addEntry, emptyTotals());
+    const elapsedShare = Math.max((now.getTime() - monthStart) / (monthEnd - monthStart), 1 / 31);
+    const projectedCostUsd = roundUsd(month.costUsd / elapsedShare);
+    const { monthlyBudgetUsd, alertThresholds } = settings;
+
+    const alerts = [...alertThresholds]
+        .sort((a, b) => b - a)
+        .filter(threshold => month.costUsd >= threshold * monthlyBudgetUsd)
+        .map(threshold => ({
+            threshold,
+            level: threshold >= 1 ? 'critical' : 'warning',
+            message: `AI spend this month has reached ${Math.round(threshold * 100)}% of the $${monthlyBudgetUsd} budget.`,
+        }));
+    if (alerts.length === 0 && projectedCostUsd > monthlyBudgetUsd) {
+        alerts.push({ threshold: null, level: 'info', message: `At the current rate, AI spend will reach about $${projectedCostUsd.toFixed(2)} this month, over the $${monthlyBudgetUsd} budget.` });
+    }
+
+    return {
+        month: new Date(monthStart).toISOString().slice(0, 7),
+        ...finishTotals(month),
+        projectedCostUsd,
+        budgetUsd: monthlyBudgetUsd,
+        usedShare: month.costUsd / monthlyBudgetUsd,
+        alerts,
+    };
+};
+
+module.exports = {
+    EMPTY_USAGE,
+    estimateTokens,
+    addUsage,
+    checkAiBudget,
+    recordAiUsage,
+    summarizeAiUsage,
+    getBudgetSettings,
+    validateBudgetSettings,
+    saveBudgetSettings,
+    getBudgetStatus,
+};
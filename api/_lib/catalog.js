@@ -0,0 +1,17 @@
+/**
+ * Shared reference data used to validate incoming reviews and users.
+ * Mirrors the option lists rendered by App.jsx. Products are managed in the store (see products.js)
+ * and quotas are configured in limits.js.
+ *
+ * File path: api/_lib/catalog.js
+ */
+
+const AGE_RANGES = ['<18', '18-24', '25-34', '35-44', '45-54', '55+'];
+const REGIONS = ['NA', 'EU', 'AP', 'LATAM'];
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative'];
+
+module.exports = {
+    AGE_RANGES,
+    REGIONS,
+    SENTIMENTS,
+};
@@ -0,0 +1,73 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for the export and import routes.
+ *
+ * File path: api/_lib/csv.js
+ */
+
+// Text cells starting with a formula character are prefixed with ' so spreadsheet apps do not
+// evaluate review text. A leading - only counts when the cell is not a plain negative number.
+// unguardCell removes the prefix again when a file is read back.
+const FORMULA_START_PATTERN = /^[=+\-@\t\r]/;
+const NEGATIVE_NUMBER_PATTERN = /^-\d+(?:\.\d+)?$/;
+
+const needsFormulaGuard = (text) => FORMULA_START_PATTERN.test(text) && !NEGATIVE_NUMBER_PATTERN.test(text);
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && needsFormulaGuard(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unguardCell = (text) => (text.startsWith("'") && needsFormulaGuard(text.slice(1)) ? text.slice(1) : text);
+
+const csvHeader = (columns) => `${columns.join(',')}\r\n`;
+
+const csvLine = (columns, row) => `${columns.map(column => csvCell(row[column])).join(',')}\r\n`;
+
+// Parses CSV text into an array of rows (arrays of strings). Quoted fields may contain commas,
+// doubled quotes and line breaks. Blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new Error('Unterminated quoted field.');
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+module.exports = { csvHeader, csvLine, parseCsv, unguardCell };
@@ -0,0 +1,131 @@
+/**
+ * Server-enforced quotas and rate limits. Every limit can be overridden with an environment variable:
+ *
+ *   MAX_USERS                      total anonymous accounts (default 50)
+ *   MAX_REVIEWS_PER_USER           reviews per user, ever (default 30)
+ *   MAX_REVIEWS_PER_PRODUCT        reviews per user for a single product (default 5)
+ *   REVIEWS_PER_HOUR_PER_USER      review submissions per user per rolling hour (default 10)
+ *   REVIEWS_PER_HOUR_PER_IP        review submissions per client IP per rolling hour (default 30)
+ *   SIGNUPS_PER_HOUR_PER_IP        account signups per client IP per rolling hour (default 5)
+ *   AI_REQUESTS_PER_DAY_USER       /api/generate calls per user per UTC day (default 20)
+ *   AI_TOKENS_PER_DAY_USER         model tokens per user per UTC day (default 20000)
+ *   AI_REQUESTS_PER_DAY_STAFF      /api/generate calls per staff account per UTC day (default 200)
+ *   AI_TOKENS_PER_DAY_STAFF        model tokens per staff account per UTC day (default 2000000)
+ *
+ * Per-user counts come from the stored reviews. Per-IP counts are kept in the 'rate_limits'
+ * collection under a salted hash of the IP, so raw addresses are never written to the store.
+ *
+ * Violations carry a machine-readable `code` for the client:
+ *   USER_LIMIT_REACHED, REVIEW_QUOTA_EXCEEDED, PRODUCT_QUOTA_EXCEEDED (403)
+ *   RATE_LIMITED, AI_BUDGET_EXCEEDED (429, with a Retry-After header; see aiUsage.js for the latter)
+ *
+ * File path: api/_lib/limits.js
+ */
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_LIMITS = {
+    maxUsers: ['MAX_USERS', 50],
+    reviewsPerUser: ['MAX_REVIEWS_PER_USER', 30],
+    reviewsPerProduct: ['MAX_REVIEWS_PER_PRODUCT', 5],
+    reviewsPerHourPerUser: ['REVIEWS_PER_HOUR_PER_USER', 10],
+    reviewsPerHourPerIp: ['REVIEWS_PER_HOUR_PER_IP', 30],
+    signupsPerHourPerIp: ['SIGNUPS_PER_HOUR_PER_IP', 5],
+    aiRequestsPerDayUser: ['AI_REQUESTS_PER_DAY_USER', 20],
+    aiTokensPerDayUser: ['AI_TOKENS_PER_DAY_USER', 20000],
+    aiRequestsPerDayStaff: ['AI_REQUESTS_PER_DAY_STAFF', 200],
+    aiTokensPerDayStaff: ['AI_TOKENS_PER_DAY_STAFF', 2000000],
+};
+
+// Violation codes answered with 429 rather than 403
+const RETRYABLE_CODES = ['RATE_LIMITED', 'AI_BUDGET_EXCEEDED'];
+
+// Reads the limits from the environment on every call so tests and redeploys pick up changes
+const getLimits = () => Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([key, [envName, fallback]]) => {
+    const value = Number(process.env[envName]);
+    return [key, Number.isInteger(value) && value > 0 ? value : fallback];
+}));
+
+// The subset of limits a reviewer's form needs to show remaining quota
+const getReviewLimits = () => {
+    const limits = getLimits();
+    return { perUser: limits.reviewsPerUser, perProduct: limits.reviewsPerProduct, perHour: limits.reviewsPerHourPerUser };
+};
+
+// Vercel puts the client address first in x-forwarded-for
+const getClientIp = (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+    return req.socket?.remoteAddress || 'unknown';
+};
+
+const hashIp = (ip) => crypto
+    .createHash('sha256')
+    .update(`${process.env.SESSION_SECRET || ''}:${ip}`)
+    .digest('hex')
+    .slice(0, 32);
+
+// Sends the 403/429 response for a violation
+const sendLimitError = (res, violation) => {
+    if (violation.retryAfter) res.setHeader('Retry-After', String(violation.retryAfter));
+    return res.status(RETRYABLE_CODES.includes(violation.code) ? 429 : 403).json(violation);
+};
+
+const secondsUntil = (ms) => Math.max(1, Math.ceil((ms - Date.now()) / 1000));
+
+// Records one hit for the IP in a rolling one-hour window. Resolves to null when allowed,
+// or a RATE_LIMITED violation (the hit is not recorded) when the limit is already used up.
+const consumeIpRateLimit = async (store, { scope, ip, limit, message }) => {
+    const id = `${scope}:${hashIp(ip)}`;
+    const now = Date.now();
+    const record = await store.get('rate_limits', id);
+    const hits = (record?.hits || []).filter(time => time > now - HOUR_MS);
+
+    if (hits.length >= limit) {
+        return { error: message, code: 'RATE_LIMITED', limit, retryAfter: secondsUntil(hits[0] + HOUR_MS) };
+    }
+
+    hits.push(now);
+    if (record) await store.update('rate_limits', id, { hits });
+    else await store.insert('rate_limits', { id, hits });
+    return null;
+};
+
+// Checks a user's next review against the per-user, per-product and hourly limits.
+// `userReviews` are all reviews stored for the user. Resolves to null or a violation.
+const checkReviewQuota = (userReviews, productId) => {
+    const limits = getLimits();
+    const now = Date.now();
+
+    if (userReviews.length >= limits.reviewsPerUser) {
+        return { error: `Review limit reached. Each user can post at most ${limits.reviewsPerUser} reviews.`, code: 'REVIEW_QUOTA_EXCEEDED', limit: limits.reviewsPerUser };
+    }
+    if (userReviews.filter(review => review.product_id === productId).length >= limits.reviewsPerProduct) {
+        return { error: `You have already posted ${limits.reviewsPerProduct} reviews for this product.`, code: 'PRODUCT_QUOTA_EXCEEDED', limit: limits.reviewsPerProduct };
+    }
+
+    const recent = userReviews
+        .map(review => Date.parse(review.timestamp))
+        .filter(time => time > now - HOUR_MS)
+        .sort((a, b) => a - b);
+    if (recent.length >= limits.reviewsPerHourPerUser) {
+        return {
+            error: `You can post at most ${limits.reviewsPerHourPerUser} reviews per hour. Please try again later.`,
+            code: 'RATE_LIMITED',
+            limit: limits.reviewsPerHourPerUser,
+            retryAfter: secondsUntil(recent[recent.length - limits.reviewsPerHourPerUser] + HOUR_MS),
+        };
+    }
+    return null;
+};
+
+module.exports = {
+    getLimits,
+    getReviewLimits,
+    getClientIp,
+    sendLimitError,
+    consumeIpRateLimit,
+    checkReviewQuota,
+};
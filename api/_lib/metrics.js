@@ -0,0 +1,87 @@
+/**
+ * Review aggregation shared by the dashboard routes.
+ *
+ * File path: api/_lib/metrics.js
+ */
+
+const { DAY_MS } = require('./reviewFilters');
+
+const BUCKETS = ['day', 'week', 'month'];
+
+// Count, average rating and sentiment mix for a set of reviews (avgRating is null when empty)
+const summarizeReviews = (reviews) => {
+    const sentiment = { Positive: 0, Neutral: 0, Negative: 0 };
+    let totalRating = 0;
+    reviews.forEach(r => {
+        if (r.sentiment in sentiment) sentiment[r.sentiment]++;
+        totalRating += r.rating || 0;
+    });
+
+    const count = reviews.length;
+    const percent = value => (count > 0 ? Math.round((value / count) * 1000) / 10 : null);
+    return {
+        count,
+        avgRating: count > 0 ? Math.round((totalRating / count) * 100) / 100 : null,
+        sentiment,
+        positivePct: percent(sentiment.Positive),
+        negativePct: percent(sentiment.Negative),
+    };
+};
+
+// Start (epoch ms, UTC) of the bucket containing `ms`. Weeks start on Monday.
+const bucketStart = (ms, bucket) => {
+    const date = new Date(ms);
+    if (bucket === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (bucket === 'week') return dayStart - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    return dayStart;
+};
+
+const nextBucketStart = (ms, bucket) => {
+    if (bucket === 'month') {
+        const date = new Date(ms);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+    return ms + (bucket === 'week' ? 7 : 1) * DAY_MS;
+};
+
+// One summary per bucket between fromMs and toMs (inclusive), including empty buckets
+const buildSeries = (reviews, bucket, fromMs, toMs) => {
+    const grouped = new Map();
+    reviews.forEach(r => {
+        const key = bucketStart(Date.parse(r.timestamp), bucket);
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(r);
+    });
+
+    const series = [];
+    for (let start = bucketStart(fromMs, bucket); start <= toMs; start = nextBucketStart(start, bucket)) {
+        series.push({ start: new Date(start).toISOString(), ...summarizeReviews(grouped.get(start) || []) });
+    }
+    return series;
+};
+
+// Counts per value in the given order, e.g. [['NA', 3], ['EU', 1]]
+const countBy = (reviews, field, order) => order.map(value => [value, reviews.filter(r => r[field] === value).length]);
+
+// NPS-style score from star ratings: 5 stars are promoters, 4 passive, 1-3 detractors (-100..100)
+const ratingNps = (reviews) => {
+    if (reviews.length === 0) return null;
+    const promoters = reviews.filter(r => r.rating === 5).length;
+    const detractors = reviews.filter(r => r.rating <= 3).length;
+    return Math.round(((promoters - detractors) / reviews.length) * 100);
+};
+
+// Full per-product breakdown used by the scorecard and comparison views
+const buildScorecard = (reviews, { ageRanges, regions, latestCount = 5 }) => ({
+    ...summarizeReviews(reviews),
+    nps: ratingNps(reviews),
+    ratingHistogram: countBy(reviews, 'rating', [5, 4, 3, 2, 1]),
+    regionBreakdown: countBy(reviews, 'region', regions),
+    ageBreakdown: countBy(reviews, 'age_range', ageRanges),
+    latestReviews: [...reviews]
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, latestCount),
+});
+
+module.exports = { BUCKETS, summarizeReviews, buildSeries, buildScorecard };
@@ -0,0 +1,64 @@
+/**
+ * Review moderation state and audit trail.
+ *
+ * Reviews carry a `status`: 'visible' (the default for reviews stored without one), 'flagged'
+ * (still public, waiting for a moderator), 'pending' (held back by screening until a moderator
+ * approves it, see screening.js) or 'hidden'. Pending and hidden reviews are unpublished: they are
+ * left out of every user-facing list and, unless a dashboard asks for them, out of aggregates.
+ *
+ * User reports live in the 'review_reports' collection:
+ *   { id, reviewId, productId, reporter, reason, details, createdAt, resolvedAt, resolution }
+ * Every report and moderator action is appended to the 'moderation_log' collection:
+ *   { id, reviewId, productId, action, reason, actor, actorRole, fromStatus, toStatus, excerpt, createdAt }
+ *
+ * File path: api/_lib/moderation.js
+ */
+
+const crypto = require('crypto');
+
+const REVIEW_STATUSES = ['visible', 'flagged', 'pending', 'hidden'];
+const PUBLISHED_STATUSES = ['visible', 'flagged'];
+const MODERATION_ACTIONS = ['flag', 'hide', 'restore', 'delete'];
+const REPORT_REASONS = ['spam', 'abuse', 'off-topic', 'personal-info', 'other'];
+const MAX_REASON_LENGTH = 500;
+const EXCERPT_LENGTH = 120;
+
+const getReviewStatus = (review) => review.status || 'visible';
+
+const isPublished = (review) => PUBLISHED_STATUSES.includes(getReviewStatus(review));
+
+// Appends one audit entry. The excerpt keeps deleted reviews identifiable in the trail.
+// fromStatus defaults to the review's current status (pass null for a review that was just created).
+const logModerationEvent = (store, { review, action, reason, actor, actorRole, fromStatus = getReviewStatus(review), toStatus }) => store.insert('moderation_log', {
+    id: crypto.randomUUID(),
+    reviewId: review.id,
+    productId: review.product_id,
+    action,
+    reason: reason || null,
+    actor,
+    actorRole,
+    fromStatus,
+    toStatus,
+    excerpt: (review.review_text || '').slice(0, EXCERPT_LENGTH),
+    createdAt: new Date().toISOString(),
+});
+
+// Marks a review's open reports as handled by the given moderator action
+const resolveReports = async (store, reviewId, resolution) => {
+    const reports = await store.list('review_reports');
+    const resolvedAt = new Date().toISOString();
+    for (const report of reports.filter(r => r.reviewId === reviewId && !r.resolvedAt)) {
+        await store.update('review_reports', report.id, { resolvedAt, resolution });
+    }
+};
+
+module.exports = {
+    REVIEW_STATUSES,
+    MODERATION_ACTIONS,
+    REPORT_REASONS,
+    MAX_REASON_LENGTH,
+    getReviewStatus,
+    isPublished,
+    logModerationEvent,
+    resolveReports,
+};
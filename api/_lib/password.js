@@ -0,0 +1,34 @@
+/**
+ * Salted password hashing with scrypt.
+ * Hashes are stored as "scrypt$<saltHex>$<hashHex>" so they can live in env vars or the data store.
+ *
+ * File path: api/_lib/password.js
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+    const [scheme, salt, hashHex] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+};
+
+// Used when an account does not exist, so failed lookups take as long as failed passwords
+const DUMMY_HASH = `scrypt$${'0'.repeat(SALT_BYTES * 2)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+module.exports = { hashPassword, verifyPassword, DUMMY_HASH };
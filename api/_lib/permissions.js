@@ -0,0 +1,45 @@
+/**
+ * Role-based access control for the data routes.
+ *
+ * Roles:
+ *   user      - anonymous reviewer; reads the public review feed and submits reviews
+ *   viewer    - staff; read-only access to the dashboard for every product
+ *   moderator - staff; dashboard and moderation limited to the product ids in session.products
+ *   admin     - staff; everything, for every product
+ *
+ * File path: api/_lib/permissions.js
+ */
+
+const { requireSession } = require('./session');
+
+const STAFF_ROLES = ['viewer', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    user: ['reviews:read', 'reviews:create'],
+    viewer: ['reviews:read', 'dashboard:read'],
+    moderator: ['reviews:read', 'dashboard:read', 'reviews:moderate'],
+    admin: ['reviews:read', 'dashboard:read', 'reviews:moderate', 'admin:manage'],
+};
+
+const can = (session, permission) => (ROLE_PERMISSIONS[session?.role] || []).includes(permission);
+
+const isStaff = (session) => STAFF_ROLES.includes(session?.role);
+
+// Moderators only see their own products; every other role is unscoped
+const canAccessProduct = (session, productId) => session?.role !== 'moderator' || (session.products || []).includes(productId);
+
+// Expects reviews that already carry product_id (see products.attachProducts)
+const scopeReviews = (session, reviews) => reviews.filter(review => canAccessProduct(session, review.product_id));
+
+// Sends a 401/403 and returns null unless the session grants the permission
+const requirePermission = (req, res, permission) => {
+    const session = requireSession(req, res);
+    if (!session) return null;
+    if (!can(session, permission)) {
+        res.status(403).json({ error: 'You do not have access to this resource.' });
+        return null;
+    }
+    return session;
+};
+
+module.exports = { STAFF_ROLES, can, isStaff, canAccessProduct, scopeReviews, requirePermission };
@@ -0,0 +1,118 @@
+/**
+ * Product catalog helpers. Products live in the 'products' collection:
+ *   { id, name, description, category, archived, createdAt, updatedAt }
+ *
+ * Reviews reference products by product_id, and so do moderator accounts. Data from before the
+ * catalog existed used product names; it is migrated to ids once, before any product can be renamed
+ * (see backfillProductIds). Reviews whose name matched no product keep their product_name and are
+ * still matched by name when read.
+ *
+ * Both one-time steps can run in concurrent requests on a fresh store (the dashboard loads reviews
+ * and products together). They are idempotent, and a record the other request inserted first
+ * counts as done.
+ *
+ * File path: api/_lib/products.js
+ */
+
+const { scopeReviews, isStaff } = require('./permissions');
+const { isPublished } = require('./moderation');
+const { isDuplicateIdError } = require('./store');
+
+// Catalog the app shipped with; written to the store the first time products are read
+const DEFAULT_PRODUCTS = [
+    { id: 'prod-1', name: 'MyCox Connect Pro', description: 'Real-time state sharing service', category: 'Realtime' },
+    { id: 'prod-2', name: 'MyCox Edge Functions', description: 'Serverless compute engine', category: 'Compute' },
+    { id: 'prod-3', name: 'MyCox Global CDN', description: 'Global content delivery network', category: 'Networking' },
+    { id: 'prod-4', name: 'MyCox Deploy System', description: 'Continuous integration system', category: 'Developer Tools' },
+];
+
+const CATALOG_MARKER_ID = 'products-initialized';
+const PRODUCT_IDS_MARKER_ID = 'product-ids-backfilled';
+
+// Product ids look like 'prod-1' or 'prod-1a2b3c4d'; anything else in a product list is a legacy name
+const PRODUCT_ID_PATTERN = /^prod-[\w-]+$/;
+
+// Inserts a record unless one with its id exists, e.g. because a concurrent request got there first
+const insertOnce = async (store, collection, record) => {
+    try {
+        await store.insert(collection, record);
+    } catch (error) {
+        if (!isDuplicateIdError(error)) throw error;
+    }
+};
+
+// One-time migration from product names to ids: name-only reviews get a product_id and stored
+// moderator accounts that list product names get the matching ids. Names are compared
+// case-insensitively; references that match no product are left as they are and logged.
+const backfillProductIds = async (store, products) => {
+    const idByName = new Map(products.map(product => [product.name.trim().toLowerCase(), product.id]));
+    const knownIds = new Set(products.map(product => product.id));
+    const unmatched = new Set();
+
+    for (const review of await store.list('reviews')) {
+        if (review.product_id) continue;
+        const id = idByName.get(String(review.product_name || '').trim().toLowerCase());
+        if (id) await store.update('reviews', review.id, { product_id: id });
+        else if (review.product_name) unmatched.add(review.product_name);
+    }
+
+    for (const account of await store.list('admins')) {
+        if (!Array.isArray(account.products) || account.products.every(entry => knownIds.has(entry))) continue;
+        const products = account.products.map(entry => (knownIds.has(entry) ? entry : idByName.get(entry.trim().toLowerCase()) || entry));
+        products.filter(entry => !knownIds.has(entry)).forEach(entry => unmatched.add(entry));
+        await store.update('admins', account.id, { products });
+    }
+
+    if (unmatched.size > 0) {
+        console.warn(`Product id backfill found no product for: ${Array.from(unmatched).join(', ')}.`);
+    }
+    await insertOnce(store, 'meta', { id: PRODUCT_IDS_MARKER_ID, createdAt: new Date().toISOString() });
+};
+
+// Returns every product (including archived ones), bootstrapping the default catalog and
+// migrating name references to ids once
+const listProducts = async (store) => {
+    if (!await store.get('meta', CATALOG_MARKER_ID)) {
+        const now = new Date().toISOString();
+        for (const product of DEFAULT_PRODUCTS) {
+            if (!await store.get('products', product.id)) {
+                await insertOnce(store, 'products', { ...product, archived: false, createdAt: now, updatedAt: now });
+            }
+        }
+        await insertOnce(store, 'meta', { id: CATALOG_MARKER_ID, createdAt: now });
+    }
+    const products = await store.list('products');
+    if (!await store.get('meta', PRODUCT_IDS_MARKER_ID)) {
+        await backfillProductIds(store, products);
+    }
+    return products.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Fills in product_id (for legacy name-only reviews) and the current product_name for display
+const attachProducts = (reviews, products) => {
+    const byId = new Map(products.map(product => [product.id, product]));
+    const byName = new Map(products.map(product => [product.name, product]));
+
+    return reviews.map(review => {
+        const product = byId.get(review.product_id) || byName.get(review.product_name);
+        return {
+            ...review,
+            product_id: product?.id || review.product_id || null,
+            product_name: product?.name || review.product_name || 'Unknown product',
+        };
+    });
+};
+
+// Loads the reviews a session may see, with product ids and names attached. Resolves to { reviews, products }.
+// Staff also receive unpublished reviews (see moderation.js); the dashboard filters decide whether to
+// count them. Reviewers get published reviews plus their own reviews awaiting moderation.
+const loadVisibleReviews = async (store, session) => {
+    const products = await listProducts(store);
+    const canSee = (review) => isStaff(session)
+        || isPublished(review)
+        || (review.status === 'pending' && review.hash_id === session.sub);
+    const reviews = scopeReviews(session, attachProducts((await store.list('reviews')).filter(canSee), products));
+    return { reviews, products };
+};
+
+module.exports = { DEFAULT_PRODUCTS, PRODUCT_ID_PATTERN, listProducts, attachProducts, loadVisibleReviews };
@@ -0,0 +1,129 @@
+/**
+ * Approved prompt templates for /api/generate. Callers pick a template by id and only supply the
+ * user prompt; the system prompt, response schema and search grounding are fixed here so the route
+ * cannot be used as a general-purpose proxy to the model.
+ *
+ * Template fields:
+ *   permission      - permission the caller's session needs (see permissions.js)
+ *   systemPrompt    - system instruction sent with every request
+ *   responseSchema  - optional; switches to validated JSON mode
+ *   useSearch       - optional; enables Google Search grounding
+ *   allowStream     - optional; whether `stream: true` may be used
+ *   maxPromptChars  - upper bound on the user prompt length
+ *
+ * File path: api/_lib/promptTemplates.js
+ */
+
+const { AGE_RANGES, REGIONS, SENTIMENTS } = require('./catalog');
+
+// Sent with every review batch by the dashboard (up to 200 reviews as JSON)
+const INSIGHTS_SYSTEM_PROMPT = `You are a product analyst summarizing user reviews for a developer platform.
+You receive a JSON array of reviews with id, product, rating (1-5), text, region and age.
+For every product that has reviews, report the top complaints, the top praise and concrete suggested actions.
+Each point must cite the ids of the reviews that support it, using only ids present in the input. Keep each point to one sentence.`;
+
+const citedPointSchema = (textField) => ({
+    type: 'ARRAY',
+    items: {
+        type: 'OBJECT',
+        properties: {
+            [textField]: { type: 'STRING' },
+            reviewIds: { type: 'ARRAY', items: { type: 'STRING' } },
+        },
+        required: [textField, 'reviewIds'],
+    },
+});
+
+const INSIGHTS_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        products: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    product: { type: 'STRING' },
+                    topComplaints: citedPointSchema('summary'),
+                    topPraise: citedPointSchema('summary'),
+                    suggestedActions: citedPointSchema('action'),
+                },
+                required: ['product', 'topComplaints', 'topPraise', 'suggestedActions'],
+            },
+        },
+    },
+    required: ['products'],
+};
+
+// Natural-language dashboard query, step 1: the question becomes a filter the admin confirms
+const QUERY_FILTER_SYSTEM_PROMPT = `You translate a question about product reviews for a developer platform into a filter over the review data.
+You receive JSON with the question, today's date (YYYY-MM-DD) and the names of the products in the catalog.
+Fill in only the constraints the question states: products (exact catalog names), regions, age ranges, star ratings (1-5), sentiments, an inclusive from/to date range (YYYY-MM-DD; resolve relative dates such as "last month" against today) and keywords the review text should contain (alternatives, e.g. "docs" and "documentation").
+Leave a list empty or a date "" when the question does not constrain it. Do not answer the question.`;
+
+const QUERY_FILTER_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        products: { type: 'ARRAY', items: { type: 'STRING' } },
+        regions: { type: 'ARRAY', items: { type: 'STRING', enum: REGIONS } },
+        ages: { type: 'ARRAY', items: { type: 'STRING', enum: AGE_RANGES } },
+        ratings: { type: 'ARRAY', items: { type: 'INTEGER', minimum: 1, maximum: 5 } },
+        sentiments: { type: 'ARRAY', items: { type: 'STRING', enum: SENTIMENTS } },
+        from: { type: 'STRING' },
+        to: { type: 'STRING' },
+        keywords: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 5 },
+    },
+    required: ['products', 'regions', 'ages', 'ratings', 'sentiments', 'from', 'to', 'keywords'],
+};
+
+// Step 2: sent with the reviews that matched the confirmed filter (up to 100, as JSON)
+const QUERY_ANSWER_SYSTEM_PROMPT = `You answer a question about product reviews for a developer platform using only the reviews provided, never outside knowledge.
+You receive JSON with the question and an array of reviews with id, product, rating (1-5), sentiment, region, age, date and text.
+Give a short summary answer and up to 5 supporting points of one sentence each. Each point must cite the ids of the reviews that support it, using only ids present in the input.
+If the reviews do not answer the question, say so in the summary and return no points.`;
+
+const QUERY_ANSWER_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        summary: { type: 'STRING' },
+        points: { ...citedPointSchema('statement'), maxItems: 5 },
+    },
+    required: ['summary', 'points'],
+};
+
+// Answered with Google Search grounding; citations come from the grounding metadata, not the text
+const COMPETITIVE_CONTEXT_SYSTEM_PROMPT = `You are a market analyst for a developer platform.
+The user names one of our products and asks about the competitive landscape, e.g. how users rate competing products.
+Answer from current web sources in at most three short paragraphs, naming the competitors you compare against and keeping each claim attributable to a source.
+Do not add a list of sources or inline links; they are shown separately.`;
+
+const PROMPT_TEMPLATES = {
+    'review-insights': {
+        permission: 'dashboard:read',
+        systemPrompt: INSIGHTS_SYSTEM_PROMPT,
+        responseSchema: INSIGHTS_RESPONSE_SCHEMA,
+        maxPromptChars: 80000,
+    },
+    'competitive-context': {
+        permission: 'admin:manage',
+        systemPrompt: COMPETITIVE_CONTEXT_SYSTEM_PROMPT,
+        useSearch: true,
+        allowStream: true,
+        maxPromptChars: 1000,
+    },
+    'review-query-filter': {
+        permission: 'dashboard:read',
+        systemPrompt: QUERY_FILTER_SYSTEM_PROMPT,
+        responseSchema: QUERY_FILTER_RESPONSE_SCHEMA,
+        maxPromptChars: 8000,
+    },
+    'review-query-answer': {
+        permission: 'dashboard:read',
+        systemPrompt: QUERY_ANSWER_SYSTEM_PROMPT,
+        responseSchema: QUERY_ANSWER_RESPONSE_SCHEMA,
+        maxPromptChars: 60000,
+    },
+};
+
+const getPromptTemplate = (templateId) => (Object.hasOwn(PROMPT_TEMPLATES, templateId) ? PROMPT_TEMPLATES[templateId] : null);
+
+module.exports = { PROMPT_TEMPLATES, getPromptTemplate };
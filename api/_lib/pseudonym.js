@@ -0,0 +1,75 @@
+/**
+ * Server-side pseudonymous user IDs: HMAC-SHA256 of the normalized "name:email" under a secret pepper.
+ *
+ * PSEUDONYM_KEYS holds comma-separated "keyId:secret" pairs. The first key is current and used for
+ * new users; the rest are older keys still accepted at login. Users found under an older key (or under
+ * the legacy unsalted SHA-256 that the browser used to compute) are migrated to the current key the next
+ * time they log in, because the raw name/email needed to re-derive an ID only exists at that moment.
+ *
+ * File path: api/_lib/pseudonym.js
+ */
+
+const crypto = require('crypto');
+
+const LEGACY_KEY_ID = 'legacy-sha256';
+
+const normalizePII = (name, email) => `${String(name).toLowerCase().trim()}:${String(email).toLowerCase().trim()}`;
+
+const getKeys = () => {
+    const keys = String(process.env.PSEUDONYM_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return { keyId: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+        })
+        .filter(key => key.keyId && key.secret);
+
+    if (keys.length === 0) throw new Error('PSEUDONYM_KEYS environment variable is not set.');
+    return keys;
+};
+
+const hmacPseudonym = (piiString, secret) => crypto.createHmac('sha256', secret).update(piiString).digest('hex');
+
+// The pseudonym a user gets under the current key, plus the id of that key
+const derivePseudonym = (name, email) => {
+    const [currentKey] = getKeys();
+    return { hash: hmacPseudonym(normalizePII(name, email), currentKey.secret), keyId: currentKey.keyId };
+};
+
+// Every pseudonym the user may have been stored under, newest key first
+const candidatePseudonyms = (name, email) => {
+    const piiString = normalizePII(name, email);
+    return [
+        ...getKeys().map(({ keyId, secret }) => ({ keyId, hash: hmacPseudonym(piiString, secret) })),
+        { keyId: LEGACY_KEY_ID, hash: crypto.createHash('sha256').update(piiString).digest('hex') },
+    ];
+};
+
+// Finds an existing user by PII under any known key. Resolves to { user, keyId } or null.
+const findUserByPII = async (store, name, email) => {
+    for (const candidate of candidatePseudonyms(name, email)) {
+        const user = await store.get('users', candidate.hash);
+        if (user) return { user, keyId: candidate.keyId };
+    }
+    return null;
+};
+
+// Re-keys a user (and their reviews) to the current pseudonym. Resolves to the migrated user record.
+const migrateUserPseudonym = async (store, user, name, email) => {
+    const { hash, keyId } = derivePseudonym(name, email);
+    if (user.id === hash) return user;
+
+    const migrated = await store.insert('users', { ...user, id: hash, hash, pseudonymKeyId: keyId, migratedFrom: user.pseudonymKeyId || LEGACY_KEY_ID });
+    const reviews = await store.list('reviews');
+    for (const review of reviews.filter(r => r.hash_id === user.id)) {
+        await store.update('reviews', review.id, { hash_id: hash });
+    }
+    await store.remove('users', user.id);
+
+    console.info(`Migrated user pseudonym from key "${user.pseudonymKeyId || LEGACY_KEY_ID}" to "${keyId}".`);
+    return migrated;
+};
+
+module.exports = { derivePseudonym, findUserByPII, migrateUserPseudonym };
@@ -0,0 +1,42 @@
+/**
+ * One-time recovery codes for user accounts created before passwords existed.
+ *
+ * Name and email are not secret, so they alone never hand over an account. An administrator who has
+ * confirmed the person's identity issues a code with scripts/issue-recovery-code.js; signing up again
+ * with the same name and email plus the code sets the password (see api/users.js).
+ * Only a hash of the code is stored on the user record ({ recovery: { codeHash, expiresAt } }).
+ * A code works once and expires after RECOVERY_CODE_TTL_MS.
+ *
+ * File path: api/_lib/recovery.js
+ */
+
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, DUMMY_HASH } = require('./password');
+
+const RECOVERY_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+const RECOVERY_CODE_BYTES = 8;
+
+// Codes are shown as dash-separated groups of hex digits; case and separators are ignored on input
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Stores a new code on the user record, replacing any earlier one. Resolves to the code to hand over.
+const issueRecoveryCode = async (store, user) => {
+    const code = crypto.randomBytes(RECOVERY_CODE_BYTES).toString('hex').match(/.{4}/g).join('-');
+    await store.update('users', user.id, {
+        recovery: {
+            codeHash: await hashPassword(normalizeRecoveryCode(code)),
+            expiresAt: new Date(Date.now() + RECOVERY_CODE_TTL_MS).toISOString(),
+        },
+    });
+    return code;
+};
+
+// True if the code matches the user's unexpired recovery code. Always runs a hash comparison so a
+// missing code takes as long as a wrong one.
+const verifyRecoveryCode = async (user, code) => {
+    const recovery = user?.recovery;
+    const isValid = await verifyPassword(normalizeRecoveryCode(code), recovery?.codeHash || DUMMY_HASH);
+    return Boolean(recovery) && isValid && Date.parse(recovery.expiresAt) > Date.now();
+};
+
+module.exports = { RECOVERY_CODE_TTL_MS, issueRecoveryCode, verifyRecoveryCode };
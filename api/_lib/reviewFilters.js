@@ -0,0 +1,52 @@
+/**
+ * Server-side counterpart of the dashboard filters in App.jsx. Filters arrive as query parameters
+ * in the same encoding the dashboard keeps in its URL:
+ *   product, region, age, sentiment, rating  -> comma-separated lists
+ *   from, to                                 -> inclusive YYYY-MM-DD dates (UTC)
+ *   hidden=1                                 -> include unpublished (hidden or pending) reviews
+ *
+ * File path: api/_lib/reviewFilters.js
+ */
+
+const { isPublished } = require('./moderation');
+
+const DAY_MS = 86400000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseReviewFilters = (query = {}) => ({
+    products: splitList(query.product),
+    regions: splitList(query.region),
+    ages: splitList(query.age),
+    sentiments: splitList(query.sentiment),
+    ratings: splitList(query.rating).map(Number).filter(Number.isInteger),
+    from: DATE_PATTERN.test(query.from || '') ? query.from : '',
+    to: DATE_PATTERN.test(query.to || '') ? query.to : '',
+    includeHidden: query.hidden === '1',
+});
+
+// Start of the `from` day and end of the `to` day, as epoch ms (null when unset)
+const getDateBounds = (filters) => ({
+    fromMs: filters.from ? Date.parse(`${filters.from}T00:00:00Z`) : null,
+    toMs: filters.to ? Date.parse(`${filters.to}T00:00:00Z`) + DAY_MS - 1 : null,
+});
+
+// Applies the attribute filters; pass { ignoreDates: true } to leave date slicing to the caller
+const applyReviewFilters = (reviews, filters, { ignoreDates = false } = {}) => {
+    const { fromMs, toMs } = ignoreDates ? { fromMs: null, toMs: null } : getDateBounds(filters);
+    return reviews.filter(r => {
+        if (!filters.includeHidden && !isPublished(r)) return false;
+        if (filters.products.length > 0 && !filters.products.includes(r.product_id)) return false;
+        if (filters.regions.length > 0 && !filters.regions.includes(r.region)) return false;
+        if (filters.ages.length > 0 && !filters.ages.includes(r.age_range)) return false;
+        if (filters.sentiments.length > 0 && !filters.sentiments.includes(r.sentiment)) return false;
+        if (filters.ratings.length > 0 && !filters.ratings.includes(r.rating)) return false;
+        const postedAt = Date.parse(r.timestamp);
+        if (fromMs !== null && postedAt < fromMs) return false;
+        if (toMs !== null && postedAt > toMs) return false;
+        return true;
+    });
+};
+
+module.exports = { DAY_MS, parseReviewFilters, getDateBounds, applyReviewFilters };
@@ -0,0 +1,58 @@
+/**
+ * Minimal validator for the OpenAPI-style schema subset accepted by Gemini's `responseSchema`
+ * (type, properties, required, items, enum, nullable, minimum/maximum, minItems/maxItems).
+ * Type names are matched case-insensitively, so both 'OBJECT' and 'object' work.
+ *
+ * File path: api/_lib/schema.js
+ */
+
+const TYPE_CHECKS = {
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+};
+
+// Returns a list of human-readable validation messages; an empty list means the value is valid
+const validateAgainstSchema = (value, schema, path = '$') => {
+    if (value === null || value === undefined) {
+        return schema.nullable ? [] : [`${path}: expected a value but got ${value}.`];
+    }
+
+    const type = schema.type ? String(schema.type).toLowerCase() : null;
+    if (type && TYPE_CHECKS[type] && !TYPE_CHECKS[type](value)) {
+        return [`${path}: expected ${type}.`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}.`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}.`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}.`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items.`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items.`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    } else if (typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key}: is required.`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        });
+    }
+
+    return errors;
+};
+
+module.exports = { validateAgainstSchema };
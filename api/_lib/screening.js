@@ -0,0 +1,150 @@
+/**
+ * Content screening for submitted reviews.
+ *
+ * 1. PII redaction (always on, local rules): email addresses, phone numbers and links carrying
+ *    tokens or credentials are replaced with a placeholder before the review is stored. Only the
+ *    redacted text is ever sent to the model (toxicity here, sentiment in sentiment.js).
+ * 2. Abuse detection (local rules): a short list of insults and profanity marks a review as borderline.
+ * 3. Toxicity classification (optional): with REVIEW_TOXICITY_CHECK=model the model scores the text
+ *    from 0 to 1. The check fails open: if the model is unavailable, only the local rules apply.
+ *
+ * Borderline reviews are stored with status 'pending' (see moderation.js) and only published once
+ * a moderator approves them.
+ *
+ * File path: api/_lib/screening.js
+ */
+
+const { validateAgainstSchema } = require('./schema');
+const { getProvider, getDefaultModel } = require('./ai');
+const { recordAiUsage } = require('./aiUsage');
+
+// Scores at or above this go to moderation
+const TOXICITY_THRESHOLD = 0.5;
+// Screening runs inside the submit request, so keep the model call short
+const TOXICITY_TIMEOUT_MS = 8000;
+
+const PII_RULES = [
+    { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, placeholder: '[email removed]' },
+    // Links whose query string or fragment carries something secret-looking
+    {
+        type: 'link',
+        pattern: /\bhttps?:\/\/\S*[?#&](?:token|access_token|auth|key|api_key|apikey|secret|sig|signature|session|sid|code|password|pwd)=\S*/gi,
+        placeholder: '[link removed]',
+    },
+    // +15550109999, a bare run of 10-11 digits (5550109999), or digit groups joined by single
+    // separators with an optional +country code and (area code), e.g. +1 (555) 010-9999, 555-0199,
+    // 020 7946 0958; see isPhoneLike for exclusions
+    {
+        type: 'phone',
+        pattern: /(?<![\w.+-])(?:\+\d{7,15}|\d{10,11}|(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?\d{3,8}(?:[\s.-]\d{2,4}){0,3}|\d{2,4}(?:[\s.-]\d{2,4}){1,4}))(?![\w]|[.-]\d)/g,
+        placeholder: '[phone removed]',
+        accept: (match) => isPhoneLike(match),
+    },
+];
+
+const DATE_LIKE_PATTERN = /^(?:\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4})$/;
+const IP_ADDRESS_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+// 10 000 000 or 1.000.000
+const GROUPED_NUMBER_PATTERN = /^\d{1,3}(?:[ .]\d{3})+$/;
+// A digit run that starts with a yyyymmdd date, e.g. the timestamp 2025101912
+const COMPACT_DATE_PATTERN = /^(?:19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])/;
+
+// Tells phone numbers apart from dates, version and IP numbers, years ("2024 2025") and plain
+// numbers. Bare digit runs only reach this with 10 or 11 digits.
+const isPhoneLike = (match) => {
+    const digits = match.replace(/\D/g, '').length;
+    if (digits < 7 || digits > 15) return false;
+    // A country code or area code in parentheses is a phone number
+    if (/^\+|\(/.test(match)) return true;
+    if (/^\d+$/.test(match)) return !COMPACT_DATE_PATTERN.test(match);
+    if (DATE_LIKE_PATTERN.test(match) || IP_ADDRESS_PATTERN.test(match) || GROUPED_NUMBER_PATTERN.test(match)) return false;
+    const groups = match.split(/[\s.-]/);
+    if (groups.every(group => /^(?:19|20)\d{2}$/.test(group))) return false;
+    // Two groups only in the local 555-0199 shape; longer numbers come in three or more groups
+    return groups.length >= 3 || (groups[0].length === 3 && groups[1].length === 4);
+};
+
+const ABUSE_PATTERN = /\b(?:idiot|idiots|moron|morons|stupid|retard(?:ed)?|dumbass|f+u+c+k\w*|shit\w*|bitch\w*|bastard\w*|asshole\w*|cunt\w*|kys|kill yourself)\b/i;
+
+const TOXICITY_SYSTEM_PROMPT = "You are a content moderator for product reviews. Score how toxic the review is: insults, harassment, hate, threats or sexual content. Harsh but civil criticism of a product is NOT toxic. Respond only with JSON matching the schema.";
+
+const TOXICITY_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        toxicity: { type: 'NUMBER', minimum: 0, maximum: 1, description: 'From 0 (harmless) to 1 (clearly toxic).' },
+        categories: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 5 },
+    },
+    required: ['toxicity'],
+};
+
+// Returns { text, redactions } where redactions counts replacements per PII type
+const redactPII = (text) => {
+    const redactions = {};
+    const redacted = PII_RULES.reduce((current, rule) => current.replace(rule.pattern, (match) => {
+        if (rule.accept && !rule.accept(match)) return match;
+        redactions[rule.type] = (redactions[rule.type] || 0) + 1;
+        return rule.placeholder;
+    }), text);
+    return { text: redacted, redactions };
+};
+
+// Resolves to a 0-1 toxicity score, or null when the check is disabled or the model is unavailable.
+// With `usageLog` ({ store, caller, role }) the model call is recorded in the AI usage log.
+const classifyToxicity = async (text, usageLog) => {
+    if (process.env.REVIEW_TOXICITY_CHECK !== 'model') return null;
+
+    try {
+        const provider = getProvider();
+        if (!provider.isConfigured()) return null;
+
+        const model = getDefaultModel();
+        const startedAt = Date.now();
+        const generated = await provider.generate({
+            model,
+            systemPrompt: TOXICITY_SYSTEM_PROMPT,
+            messages: [{ role: 'user', text: `Review: "${text}"` }],
+            responseSchema: TOXICITY_RESPONSE_SCHEMA,
+        }, { deadline: Date.now() + TOXICITY_TIMEOUT_MS, retries: 2 });
+
+        if (usageLog) {
+            await recordAiUsage(usageLog.store, {
+                caller: usageLog.caller,
+                role: usageLog.role,
+                feature: 'review-screening',
+                provider: provider.name,
+                model,
+                promptChars: text.length,
+                usage: generated.usage,
+                latencyMs: Date.now() - startedAt,
+                status: generated.ok ? 200 : generated.status,
+            }).catch(error => console.error('Failed to record AI usage:', error.message));
+        }
+        if (!generated.ok) return null;
+
+        const result = JSON.parse(generated.text);
+        if (validateAgainstSchema(result, TOXICITY_RESPONSE_SCHEMA).length > 0) return null;
+        return result.toxicity;
+    } catch (error) {
+        console.warn('Toxicity classification failed; using local rules only.', error.message);
+        return null;
+    }
+};
+
+// Screens review text. Resolves to { text, screening } where screening is stored on the review:
+//   { redactions, flags, toxicity, decision: 'publish'|'hold' }
+// `usageLog` attributes the optional model call to the submitting user (see classifyToxicity).
+const screenReview = async (rawText, { useModel = true, usageLog = null } = {}) => {
+    const { text, redactions } = redactPII(rawText);
+    const flags = [];
+    if (ABUSE_PATTERN.test(text)) flags.push('abusive-language');
+
+    const toxicity = useModel ? await classifyToxicity(text, usageLog) : null;
+    if (toxicity !== null && toxicity >= TOXICITY_THRESHOLD) flags.push('toxicity');
+
+    return {
+        text,
+        screening: { redactions, flags, toxicity, decision: flags.length > 0 ? 'hold' : 'publish' },
+    };
+};
+
+module.exports = { redactPII, screenReview };
@@ -0,0 +1,85 @@
+/**
+ * Sentiment classification for submitted reviews, run on the server after screening so the model
+ * only ever sees redacted text and clients cannot supply their own "AI" sentiment.
+ *
+ * The model reports { sentiment, confidence, topics }. When the provider is unavailable or the
+ * answer does not match the schema, the sentiment falls back to the star rating
+ * (sentiment_source 'rating').
+ *
+ * File path: api/_lib/sentiment.js
+ */
+
+const { validateAgainstSchema } = require('./schema');
+const { SENTIMENTS } = require('./catalog');
+const { getProvider, getDefaultModel } = require('./ai');
+const { recordAiUsage } = require('./aiUsage');
+
+// Runs inside the submit request, like the toxicity check in screening.js
+const SENTIMENT_TIMEOUT_MS = 8000;
+const MAX_TOPIC_LENGTH = 40;
+
+const SENTIMENT_SYSTEM_PROMPT = `You classify the sentiment of a single product review for a developer platform.
+Judge only the review text, not any star rating.
+Report a confidence between 0 and 1 and up to 5 short lowercase topics the review mentions (e.g. "reliability", "documentation").`;
+
+const SENTIMENT_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        sentiment: { type: 'STRING', enum: SENTIMENTS },
+        confidence: { type: 'NUMBER', minimum: 0, maximum: 1 },
+        topics: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 5 },
+    },
+    required: ['sentiment', 'confidence', 'topics'],
+};
+
+// Star-rating heuristic, mirrored by getRatingSentiment in App.jsx
+const getRatingSentiment = (rating) => (rating >= 4 ? 'Positive' : rating <= 2 ? 'Negative' : 'Neutral');
+
+const ratingFallback = (rating) => ({ sentiment: getRatingSentiment(rating), sentiment_source: 'rating', sentiment_confidence: null, topics: [] });
+
+// Resolves to the review fields { sentiment, sentiment_source, sentiment_confidence, topics }.
+// With `usageLog` ({ store, caller, role }) the model call is recorded in the AI usage log.
+const classifySentiment = async (text, rating, { usageLog = null } = {}) => {
+    try {
+        const provider = getProvider();
+        if (!provider.isConfigured()) return ratingFallback(rating);
+
+        const model = getDefaultModel();
+        const startedAt = Date.now();
+        const generated = await provider.generate({
+            model,
+            systemPrompt: SENTIMENT_SYSTEM_PROMPT,
+            messages: [{ role: 'user', text }],
+            responseSchema: SENTIMENT_RESPONSE_SCHEMA,
+        }, { deadline: Date.now() + SENTIMENT_TIMEOUT_MS, retries: 2 });
+
+        if (usageLog) {
+            await recordAiUsage(usageLog.store, {
+                caller: usageLog.caller,
+                role: usageLog.role,
+                feature: 'review-sentiment',
+                provider: provider.name,
+                model,
+                promptChars: text.length,
+                usage: generated.usage,
+                latencyMs: Date.now() - startedAt,
+                status: generated.ok ? 200 : generated.status,
+            }).catch(error => console.error('Failed to record AI usage:', error.message));
+        }
+        if (!generated.ok) return ratingFallback(rating);
+
+        const result = JSON.parse(generated.text);
+        if (validateAgainstSchema(result, SENTIMENT_RESPONSE_SCHEMA).length > 0) return ratingFallback(rating);
+        return {
+            sentiment: result.sentiment,
+            sentiment_source: 'model',
+            sentiment_confidence: result.confidence,
+            topics: result.topics.map(topic => topic.trim().toLowerCase().substring(0, MAX_TOPIC_LENGTH)).filter(Boolean),
+        };
+    } catch (error) {
+        console.warn('Sentiment classification failed; using the star rating.', error.message);
+        return ratingFallback(rating);
+    }
+};
+
+module.exports = { getRatingSentiment, classifySentiment };
@@ -0,0 +1,109 @@
+/**
+ * Signed, stateless session tokens carried in an HTTP-only cookie.
+ *
+ * A token is "<base64url(payload)>.<base64url(HMAC-SHA256(payload, SESSION_SECRET))>"
+ * where payload is { sub, role, exp } (exp in epoch seconds).
+ *
+ * File path: api/_lib/session.js
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'mycox_session';
+const DEFAULT_TTL_SECONDS = 8 * 60 * 60;
+
+const getSecret = () => {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret) throw new Error('SESSION_SECRET environment variable is not set.');
+    return secret;
+};
+
+const getTtlSeconds = () => Number(process.env.SESSION_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+const sign = (encodedPayload) => crypto
+    .createHmac('sha256', getSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+
+const createToken = (claims) => {
+    const payload = { ...claims, exp: Math.floor(Date.now() / 1000) + getTtlSeconds() };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${encodedPayload}.${sign(encodedPayload)}`, payload };
+};
+
+// Returns the payload of a valid, unexpired token, or null
+const verifyToken = (token) => {
+    const [encodedPayload, signature] = String(token || '').split('.');
+    if (!encodedPayload || !signature) return null;
+
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Returns null for malformed percent-encoding (e.g. "%E0%A4%A") instead of throwing a URIError
+const decodeCookieValue = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Cookies that cannot be decoded are skipped, so a bad one reads as no session rather than an error
+const parseCookies = (req) => Object.fromEntries(
+    String(req.headers?.cookie || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...rest]) => [name, decodeCookieValue(rest.join('='))])
+        .filter(([, value]) => value !== null)
+);
+
+const serializeCookie = (value, maxAgeSeconds) => [
+    `${COOKIE_NAME}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+    // Browsers drop Secure cookies on plain-http dev servers
+    process.env.NODE_ENV === 'production' ? 'Secure' : null,
+].filter(Boolean).join('; ');
+
+// Issues a session cookie and returns the session payload
+const startSession = (res, claims) => {
+    const { token, payload } = createToken(claims);
+    res.setHeader('Set-Cookie', serializeCookie(token, getTtlSeconds()));
+    return payload;
+};
+
+const endSession = (res) => {
+    res.setHeader('Set-Cookie', serializeCookie('', 0));
+};
+
+// Returns the current session payload, or null if there is no valid session cookie
+const getSession = (req) => verifyToken(parseCookies(req)[COOKIE_NAME]);
+
+// Sends a 401/403 and returns null unless the request has a session with one of the given roles
+const requireSession = (req, res, roles) => {
+    const session = getSession(req);
+    if (!session) {
+        res.status(401).json({ error: 'Authentication required.' });
+        return null;
+    }
+    if (roles && !roles.includes(session.role)) {
+        res.status(403).json({ error: 'You do not have access to this resource.' });
+        return null;
+    }
+    return session;
+};
+
+module.exports = { startSession, endSession, getSession, requireSession };
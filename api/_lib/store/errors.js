@@ -0,0 +1,18 @@
+/**
+ * Errors shared by the storage adapters.
+ *
+ * File path: api/_lib/store/errors.js
+ */
+
+// insert/insertMany reject records whose id is already taken with an error carrying this code
+const DUPLICATE_ID = 'DUPLICATE_ID';
+
+const duplicateIdError = (collection, id) => {
+    const error = new Error(`Duplicate id "${id}" in "${collection}".`);
+    error.code = DUPLICATE_ID;
+    return error;
+};
+
+const isDuplicateIdError = (error) => error?.code === DUPLICATE_ID;
+
+module.exports = { duplicateIdError, isDuplicateIdError };
@@ -0,0 +1,110 @@
+/**
+ * JSON file storage adapter. The whole data set is kept in a single file shaped as
+ * { [collection]: { [id]: record } }.
+ *
+ * Writes are serialized through a promise chain and go through a temp file + rename,
+ * so concurrent requests on the same instance cannot interleave partial writes.
+ * On Vercel only /tmp is writable, hence the default location.
+ *
+ * File path: api/_lib/store/fileStore.js
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { duplicateIdError } = require('./errors');
+
+const DEFAULT_FILE_PATH = path.join(os.tmpdir(), 'mycox-data.json');
+
+const createFileStore = ({ filePath = DEFAULT_FILE_PATH } = {}) => {
+    let writeQueue = Promise.resolve();
+
+    const readData = async () => {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            // A missing file simply means nothing has been stored yet
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    };
+
+    const writeData = async (data) => {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    };
+
+    // Runs a read-modify-write cycle after any pending writes have finished
+    const mutate = (mutator) => {
+        const run = writeQueue.then(async () => {
+            const data = await readData();
+            const result = mutator(data);
+            await writeData(data);
+            return result;
+        });
+        // Keep the queue alive even if this mutation fails
+        writeQueue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        async list(collection) {
+            await writeQueue;
+            const data = await readData();
+            return Object.values(data[collection] || {});
+        },
+
+        async get(collection, id) {
+            await writeQueue;
+            const data = await readData();
+            return data[collection]?.[id] || null;
+        },
+
+        insert(collection, record) {
+            return mutate(data => {
+                if (!record.id) throw new Error(`Cannot insert into "${collection}" without an id.`);
+                data[collection] = data[collection] || {};
+                if (data[collection][record.id]) throw duplicateIdError(collection, record.id);
+                data[collection][record.id] = record;
+                return record;
+            });
+        },
+
+        // One read-modify-write for the whole batch; a bad record aborts it before anything is written
+        insertMany(collection, records) {
+            return mutate(data => {
+                const existing = data[collection] || {};
+                const added = {};
+                records.forEach(record => {
+                    if (!record.id) throw new Error(`Cannot insert into "${collection}" without an id.`);
+                    if (existing[record.id] || added[record.id]) throw duplicateIdError(collection, record.id);
+                    added[record.id] = record;
+                });
+                data[collection] = { ...existing, ...added };
+                return records;
+            });
+        },
+
+        update(collection, id, patch) {
+            return mutate(data => {
+                const existing = data[collection]?.[id];
+                if (!existing) return null;
+                const updated = { ...existing, ...patch, id };
+                data[collection][id] = updated;
+                return updated;
+            });
+        },
+
+        remove(collection, id) {
+            return mutate(data => {
+                if (!data[collection]?.[id]) return false;
+                delete data[collection][id];
+                return true;
+            });
+        },
+    };
+};
+
+module.exports = { createFileStore, DEFAULT_FILE_PATH };
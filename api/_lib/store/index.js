@@ -0,0 +1,40 @@
+/**
+ * Storage adapter registry shared by the serverless routes.
+ * The adapter is chosen with the STORAGE_ADAPTER environment variable ('file' by default)
+ * and created once per function instance.
+ *
+ * Every adapter exposes the same async, collection-based interface:
+ *   list(collection)                -> array of records
+ *   get(collection, id)             -> record or null
+ *   insert(collection, record)      -> record (record.id is required and must be unique)
+ *   insertMany(collection, records) -> records, inserted all together or not at all
+ *   update(collection, id, patch)   -> updated record or null
+ *   remove(collection, id)          -> true if a record was removed
+ * A record whose id is already taken is rejected with an error that isDuplicateIdError recognizes.
+ *
+ * File path: api/_lib/store/index.js
+ */
+
+const { isDuplicateIdError } = require('./errors');
+
+const ADAPTERS = {
+    file: () => require('./fileStore').createFileStore({ filePath: process.env.DATA_FILE }),
+    memory: () => require('./memoryStore').createMemoryStore(),
+};
+
+let store = null;
+
+const getStore = () => {
+    if (store) return store;
+
+    const adapterName = process.env.STORAGE_ADAPTER || 'file';
+    const createAdapter = ADAPTERS[adapterName];
+    if (!createAdapter) {
+        throw new Error(`Unknown STORAGE_ADAPTER "${adapterName}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}.`);
+    }
+
+    store = createAdapter();
+    return store;
+};
+
+module.exports = { getStore, isDuplicateIdError };
@@ -0,0 +1,63 @@
+/**
+ * In-memory storage adapter. Data lives for the lifetime of the function instance only,
+ * which makes it useful for local development and throwaway previews.
+ *
+ * File path: api/_lib/store/memoryStore.js
+ */
+
+const { duplicateIdError } = require('./errors');
+
+const createMemoryStore = () => {
+    // collection name -> Map(id -> record)
+    const collections = new Map();
+
+    const getCollection = (name) => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+
+    return {
+        async list(collection) {
+            return Array.from(getCollection(collection).values());
+        },
+
+        async get(collection, id) {
+            return getCollection(collection).get(id) || null;
+        },
+
+        async insert(collection, record) {
+            const records = getCollection(collection);
+            if (!record.id) throw new Error(`Cannot insert into "${collection}" without an id.`);
+            if (records.has(record.id)) throw duplicateIdError(collection, record.id);
+            records.set(record.id, record);
+            return record;
+        },
+
+        async insertMany(collection, newRecords) {
+            const records = getCollection(collection);
+            // Check every record before storing any, so a bad batch leaves the collection untouched
+            const ids = new Set();
+            newRecords.forEach(record => {
+                if (!record.id) throw new Error(`Cannot insert into "${collection}" without an id.`);
+                if (records.has(record.id) || ids.has(record.id)) throw duplicateIdError(collection, record.id);
+                ids.add(record.id);
+            });
+            newRecords.forEach(record => records.set(record.id, record));
+            return newRecords;
+        },
+
+        async update(collection, id, patch) {
+            const records = getCollection(collection);
+            if (!records.has(id)) return null;
+            const updated = { ...records.get(id), ...patch, id };
+            records.set(id, updated);
+            return updated;
+        },
+
+        async remove(collection, id) {
+            return getCollection(collection).delete(id);
+        },
+    };
+};
+
+module.exports = { createMemoryStore };
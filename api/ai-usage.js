@@ -0,0 +1,78 @@
+/**
+ * Vercel Serverless Function (Node.js) for AI usage and cost reporting (admins only).
+ *
+ *   GET   /api/ai-usage?days=30  -> { days, features, totals, budget, settings }: token, cost and
+ *                                   latency totals per UTC day and per feature for the last
+ *                                   `days` days (1-90), plus month-to-date spend and alerts
+ *   PATCH /api/ai-usage          -> update { monthlyBudgetUsd, alertThresholds } -> { settings, budget }
+ *
+ * Costs are estimates from the provider's list prices (see _lib/ai/index.js and _lib/aiUsage.js).
+ *
+ * File path: api/ai-usage.js
+ */
+
+const { getStore } = require('./_lib/store');
+const { requirePermission } = require('./_lib/permissions');
+const {
+    summarizeAiUsage,
+    getBudgetSettings,
+    validateBudgetSettings,
+    saveBudgetSettings,
+    getBudgetStatus,
+} = require('./_lib/aiUsage');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+
+module.exports = async (req, res) => {
+    const store = getStore();
+
+    try {
+        // --- 1. Usage Report ---
+        if (req.method === 'GET') {
+            if (!requirePermission(req, res, 'admin:manage')) return;
+
+            const days = req.query?.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+                return res.status(400).json({ error: `days must be a whole number between 1 and ${MAX_DAYS}.` });
+            }
+
+            const entries = await store.list('ai_usage');
+            const settings = await getBudgetSettings(store);
+            return res.status(200).json({
+                ...summarizeAiUsage(entries, { days }),
+                budget: getBudgetStatus(entries, settings),
+                settings,
+            });
+        }
+
+        // --- 2. Budget Settings ---
+        if (req.method === 'PATCH') {
+            const session = requirePermission(req, res, 'admin:manage');
+            if (!session) return;
+
+            const { monthlyBudgetUsd, alertThresholds } = req.body || {};
+            if (monthlyBudgetUsd === undefined && alertThresholds === undefined) {
+                return res.status(400).json({ error: 'Provide monthlyBudgetUsd and/or alertThresholds.' });
+            }
+            const validationError = validateBudgetSettings({ monthlyBudgetUsd, alertThresholds });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const patch = {};
+            if (monthlyBudgetUsd !== undefined) patch.monthlyBudgetUsd = monthlyBudgetUsd;
+            if (alertThresholds !== undefined) patch.alertThresholds = alertThresholds;
+
+            const settings = await saveBudgetSettings(store, patch, session.sub);
+            return res.status(200).json({ settings, budget: getBudgetStatus(await store.list('ai_usage'), settings) });
+        }
+
+        res.setHeader('Allow', 'GET, PATCH');
+        return res.status(405).end('Method Not Allowed');
+
+    } catch (error) {
+        console.error('AI usage route failed:', error);
+        return res.status(500).json({ error: 'Failed to load AI usage.', details: error.message });
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Vercel Serverless Function (Node.js) for staff login (viewers, product moderators and admins).
+ *
+ *   POST /api/auth/admin-login { username, password } -> sets the HTTP-only session cookie
+ *
+ * The account's role and product scope are embedded in the session, so changes apply on next login.
+ *
+ * File path: api/auth/admin-login.js
+ */
+
+const { findAdmin } = require('../_lib/admins');
+const { verifyPassword, DUMMY_HASH } = require('../_lib/password');
+const { startSession } = require('../_lib/session');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({ error: 'Missing username or password.' });
+    }
+
+    try {
+        const admin = await findAdmin(username);
+        // Always run a hash comparison so unknown usernames are not distinguishable by timing
+        const isValid = await verifyPassword(password, admin?.passwordHash || DUMMY_HASH);
+        if (!admin || !isValid) {
+            return res.status(401).json({ error: 'Invalid admin credentials.' });
+        }
+
+        const claims = { sub: admin.username, role: admin.role };
+        if (admin.role === 'moderator') claims.products = admin.products;
+
+        const session = startSession(res, claims);
+        return res.status(200).json({ session });
+
+    } catch (error) {
+        console.error('Admin login failed:', error);
+        return res.status(500).json({ error: 'Admin login failed due to a server error.' });
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Vercel Serverless Function (Node.js) that ends the current session.
+ *
+ *   POST /api/auth/logout -> clears the session cookie
+ *
+ * File path: api/auth/logout.js
+ */
+
+const { endSession } = require('../_lib/session');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    endSession(res);
+    return res.status(204).end();
+};
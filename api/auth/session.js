@@ -0,0 +1,25 @@
+/**
+ * Vercel Serverless Function (Node.js) that reports the current session.
+ *
+ *   GET /api/auth/session -> { session } or 401 when not logged in / expired
+ *
+ * File path: api/auth/session.js
+ */
+
+const { requireSession } = require('../_lib/session');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    try {
+        const session = requireSession(req, res);
+        if (!session) return;
+        return res.status(200).json({ session });
+    } catch (error) {
+        console.error('Session check failed:', error);
+        return res.status(500).json({ error: 'Session check failed due to a server error.' });
+    }
+};
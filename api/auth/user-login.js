@@ -0,0 +1,52 @@
+/**
+ * Vercel Serverless Function (Node.js) for anonymous user login.
+ *
+ *   POST /api/auth/user-login { name, email, password } -> sets the HTTP-only session cookie
+ *
+ * Name and email are turned into the pseudonymous hash ID server-side; the password proves ownership of it.
+ * Users stored under an older pseudonym key are migrated to the current key here.
+ * Records created before passwords existed get the same 401 as a wrong password, so the response never
+ * tells whether an account exists; their owners set a password with a recovery code (see api/users.js).
+ *
+ * File path: api/auth/user-login.js
+ */
+
+const { getStore } = require('../_lib/store');
+const { verifyPassword, DUMMY_HASH } = require('../_lib/password');
+const { startSession } = require('../_lib/session');
+const { findUserByPII, migrateUserPseudonym } = require('../_lib/pseudonym');
+const { getReviewLimits } = require('../_lib/limits');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    const { name, email, password } = req.body || {};
+    if ([name, email, password].some(value => typeof value !== 'string' || !value.trim())) {
+        return res.status(400).json({ error: 'Missing name, email or password.' });
+    }
+
+    try {
+        const store = getStore();
+        const match = await findUserByPII(store, name, email);
+        // Always run a hash comparison so unknown users are not distinguishable by timing
+        const isValid = await verifyPassword(password, match?.user.passwordHash || DUMMY_HASH);
+        if (!match || !isValid) {
+            return res.status(401).json({ error: 'Invalid credentials.' });
+        }
+
+        const user = await migrateUserPseudonym(store, match.user, name, email);
+
+        const reviews = await store.list('reviews');
+        const reviewCount = reviews.filter(review => review.hash_id === user.hash).length;
+
+        const session = startSession(res, { sub: user.hash, role: 'user' });
+        return res.status(200).json({ session, reviewCount, reviewLimits: getReviewLimits() });
+
+    } catch (error) {
+        console.error('User login failed:', error);
+        return res.status(500).json({ error: 'Login failed due to a server error.' });
+    }
+};
@@ -0,0 +1,155 @@
+/**
+ * Vercel Serverless Function (Node.js) for dashboard exports.
+ *
+ *   GET /api/export?type=reviews|summary&format=csv|json&<dashboard filters>
+ *
+ * `reviews` downloads the filtered review set, one row per review, with author hashes truncated.
+ * `summary` downloads the aggregated metrics: one row for all matching reviews plus one per product.
+ * Review exports are written in batches straight to the response so large result sets are never
+ * held as a single string.
+ *
+ * File path: api/export.js
+ */
+
+const { once } = require('events');
+const { getStore } = require('./_lib/store');
+const { loadVisibleReviews } = require('./_lib/products');
+const { requirePermission } = require('./_lib/permissions');
+const { parseReviewFilters, applyReviewFilters } = require('./_lib/reviewFilters');
+const { buildScorecard } = require('./_lib/metrics');
+const { AGE_RANGES, REGIONS } = require('./_lib/catalog');
+const { csvHeader, csvLine } = require('./_lib/csv');
+const { getReviewStatus } = require('./_lib/moderation');
+
+const TYPES = ['reviews', 'summary'];
+const FORMATS = ['csv', 'json'];
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', json: 'application/json; charset=utf-8' };
+// Enough to tell authors apart in an export without handing out the full pseudonym
+const HASH_PREFIX_LENGTH = 12;
+const ROWS_PER_WRITE = 500;
+
+const REVIEW_COLUMNS = ['id', 'product', 'rating', 'sentiment', 'review_text', 'region', 'age_range', 'timestamp', 'hash_prefix', 'status'];
+const SUMMARY_COLUMNS = [
+    'scope', 'product_id', 'count', 'avg_rating', 'positive', 'neutral', 'negative',
+    'positive_pct', 'negative_pct', 'nps',
+];
+
+const toReviewRow = (review) => ({
+    id: review.id,
+    product: review.product_name,
+    rating: review.rating,
+    sentiment: review.sentiment,
+    review_text: review.review_text,
+    region: review.region,
+    age_range: review.age_range,
+    timestamp: review.timestamp,
+    hash_prefix: review.hash_id ? review.hash_id.slice(0, HASH_PREFIX_LENGTH) : '',
+    status: getReviewStatus(review),
+});
+
+const toSummaryRow = (scope, productId, scorecard) => ({
+    scope,
+    product_id: productId,
+    count: scorecard.count,
+    avg_rating: scorecard.avgRating,
+    positive: scorecard.sentiment.Positive,
+    neutral: scorecard.sentiment.Neutral,
+    negative: scorecard.sentiment.Negative,
+    positive_pct: scorecard.positivePct,
+    negative_pct: scorecard.negativePct,
+    nps: scorecard.nps,
+});
+
+// Honors backpressure so a slow client does not make us buffer the whole export
+const writeChunk = async (res, chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+};
+
+const streamReviews = async (res, reviews, format) => {
+    if (format === 'csv') {
+        await writeChunk(res, csvHeader(REVIEW_COLUMNS));
+    } else {
+        await writeChunk(res, '[');
+    }
+
+    for (let i = 0; i < reviews.length; i += ROWS_PER_WRITE) {
+        const rows = reviews.slice(i, i + ROWS_PER_WRITE).map(toReviewRow);
+        const chunk = format === 'csv'
+            ? rows.map(row => csvLine(REVIEW_COLUMNS, row)).join('')
+            : (i > 0 ? ',' : '') + rows.map(row => JSON.stringify(row)).join(',');
+        await writeChunk(res, chunk);
+    }
+
+    if (format === 'json') await writeChunk(res, ']');
+};
+
+const buildSummary = (reviews, products, filters) => {
+    // Scorecards without the latest-review sample, which belongs in the reviews export
+    const aggregate = (subset) => {
+        const { latestReviews, ...metrics } = buildScorecard(subset, { ageRanges: AGE_RANGES, regions: REGIONS, latestCount: 0 });
+        return metrics;
+    };
+    const byProduct = products
+        .filter(product => reviews.some(r => r.product_id === product.id))
+        .map(product => ({ productId: product.id, name: product.name, ...aggregate(reviews.filter(r => r.product_id === product.id)) }));
+    return { generatedAt: new Date().toISOString(), filters, overall: aggregate(reviews), byProduct };
+};
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    let headersSent = false;
+    try {
+        const session = requirePermission(req, res, 'dashboard:read');
+        if (!session) return;
+
+        const type = req.query.type || 'reviews';
+        const format = req.query.format || 'csv';
+        if (!TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${TYPES.join(', ')}.` });
+        }
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}.` });
+        }
+
+        // --- 1. Load the filtered review set ---
+        const filters = parseReviewFilters(req.query);
+        const { reviews, products } = await loadVisibleReviews(getStore(), session);
+        const matching = applyReviewFilters(reviews, filters);
+        matching.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const filename = `mycox-${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.status(200);
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        headersSent = true;
+
+        // --- 2. Review Rows ---
+        if (type === 'reviews') {
+            await streamReviews(res, matching, format);
+            return res.end();
+        }
+
+        // --- 3. Aggregated Summary ---
+        const summary = buildSummary(matching, products, filters);
+        if (format === 'json') {
+            return res.end(JSON.stringify(summary, null, 2));
+        }
+        const rows = [
+            toSummaryRow('All products', '', summary.overall),
+            ...summary.byProduct.map(product => toSummaryRow(product.name, product.productId, product)),
+        ];
+        return res.end(csvHeader(SUMMARY_COLUMNS)
+            + rows.map(row => csvLine(SUMMARY_COLUMNS, row)).join(''));
+
+    } catch (error) {
+        console.error('Export route failed:', error);
+        // Once the download has started the status line is gone; cut the file short instead
+        if (headersSent) return res.end();
+        return res.status(500).json({ error: 'Failed to export reviews.', details: error.message });
+    }
+};
@@ -1,127 +1,322 @@
 /**
- * Vercel Serverless Function (Node.js) to securely handle requests to the Gemini API.
- * This proxy prevents exposing the GEMINI_API_KEY to the client-side.
+ * Vercel Serverless Function (Node.js) to securely handle requests to the model provider.
+ * This proxy keeps provider credentials (e.g. GEMINI_API_KEY) off the client; the provider and
+ * the models a request may use are configured on the server (see _lib/ai/index.js).
+ *
+ * Callers must be signed in and pick an approved prompt template by id (see
+ * _lib/promptTemplates.js); the template fixes the system prompt, response schema and search
+ * grounding, so only `userPrompt` (capped per template) comes from the client:
+ *   POST /api/generate  { templateId, userPrompt, model?, stream? }
+ * `model` must be one of the allowed models; it defaults to AI_MODEL or the provider's default.
+ * Each call counts against the caller's daily request and token budget and is logged to the
+ * 'ai_usage' collection (see _lib/aiUsage.js). An exhausted budget is answered with a 429
+ * (code AI_BUDGET_EXCEEDED) and a too-long prompt with a 413 (code PROMPT_TOO_LONG).
+ *
+ * Responses are normalized across providers: { text, sources, citations, model, feature, usage },
+ * plus `json` for templates with a `responseSchema`. For search-grounded templates, `citations`
+ * ([{ start, end, sourceIndices }]) link spans of `text` to entries of `sources`. `usage` is what this request cost: { promptTokens,
+ * outputTokens, totalTokens, costUsd, latencyMs } (zero tokens for cache hits).
+ *
+ * Templates with a `responseSchema` use the provider's JSON response mode; the returned JSON is
+ * validated against the schema here, retried once with a correction prompt if it does not
+ * match, and rejected with a 422 if the retry fails as well.
+ *
+ * Passing `stream: true` (templates with `allowStream` only) uses the provider's streaming mode
+ * instead and relays the output as Server-Sent Events:
+ *   event: chunk  data: { "text": "<partial text>" }
+ *   event: done   data: { "sources": [...], "citations": [...], "model", "feature", "usage": {...} }
+ *   event: error  data: { "error": "<message>" }
+ * The retry/backoff loop still covers the connection phase; once streaming has started,
+ * failures are reported as an `error` event. Streams share the call deadline (AI_DEADLINE_MS)
+ * too: one still running when it passes is cut off with an `error` event.
+ *
+ * Provider failures keep their machine-readable code (see _lib/ai/upstream.js): 429
+ * UPSTREAM_RATE_LIMITED, 502 UPSTREAM_UNAVAILABLE (also while the circuit breaker is open) and
+ * 504 UPSTREAM_TIMEOUT, with a Retry-After header when the wait is known. Retries for one request
+ * share a single deadline (AI_DEADLINE_MS) that fits within the function's time limit.
+ *
+ * Non-streaming results are cached and identical concurrent calls share one upstream request
+ * (see _lib/ai/cache.js). The X-Cache response header says how a response was produced: MISS,
+ * HIT, SHARED (joined an identical in-flight call) or BYPASS (streams). Hits and shared results
+ * spend no tokens but still count as requests against the caller's budget.
  *
  * File path: api/generate.js
  */
 
-// We use 'gemini-2.5-flash-preview-09-2025' for text generation
-const MODEL_NAME = 'gemini-2.5-flash-preview-09-2025';
+const { validateAgainstSchema } = require('./_lib/schema');
+const { getProvider, getAllowedModels, resolveModel } = require('./_lib/ai');
+const { getStore } = require('./_lib/store');
+const { requireSession } = require('./_lib/session');
+const { can } = require('./_lib/permissions');
+const { sendLimitError } = require('./_lib/limits');
+const { getPromptTemplate } = require('./_lib/promptTemplates');
+const { buildCacheKey, withResponseCache } = require('./_lib/ai/cache');
+const { getCallDeadline } = require('./_lib/ai/upstream');
+const { EMPTY_USAGE, estimateTokens, addUsage, checkAiBudget, recordAiUsage } = require('./_lib/aiUsage');
 
-// Max number of retries for exponential backoff
-const MAX_RETRIES = 5;
+// Request fields that used to be free-form and are now fixed by the template
+const TEMPLATE_FIELDS = ['systemPrompt', 'responseSchema', 'useSearch'];
 
-// The core handler for Vercel Serverless Functions
-module.exports = async (req, res) => {
-    // Only allow POST requests
-    if (req.method !== 'POST') {
-        res.setHeader('Allow', 'POST');
-        return res.status(405).end('Method Not Allowed');
+// Writes one Server-Sent Event to the response
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Relays the text of normalized provider chunks to the client as `chunk` events.
+// Resolves to the sources, citations and token usage reported with the final chunks.
+const relayStream = async (chunks, res) => {
+    let sources = [];
+    let citations = [];
+    let usage = EMPTY_USAGE;
+
+    for await (const chunk of chunks) {
+        if (chunk.text) writeEvent(res, 'chunk', { text: chunk.text });
+        if (chunk.sources.length > 0) sources = chunk.sources;
+        if (chunk.citations?.length > 0) citations = chunk.citations;
+        if (chunk.usage) usage = chunk.usage;
     }
 
-    // --- 1. Security Check: API Key Retrieval ---
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-        console.error("GEMINI_API_KEY environment variable is not set.");
-        return res.status(500).json({ error: 'Server configuration error: Gemini API key missing.' });
+    return { sources, citations, usage };
+};
+
+// What a call cost, as reported to the client: { model, feature, usage } (see _lib/aiUsage.js)
+const describeCall = (entry) => (entry ? {
+    model: entry.model,
+    feature: entry.feature,
+    usage: {
+        promptTokens: entry.promptTokens,
+        outputTokens: entry.outputTokens,
+        totalTokens: entry.totalTokens,
+        costUsd: entry.costUsd,
+        latencyMs: entry.latencyMs,
+    },
+} : {});
+
+// Parses generated text as JSON and validates it. Returns { value, errors }.
+const parseStructuredText = (text, responseSchema) => {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { value: null, errors: [`Response is not valid JSON: ${error.message}`] };
     }
+    return { value, errors: validateAgainstSchema(value, responseSchema) };
+};
 
-    // --- 2. Input Validation and Payload Construction ---
-    const { userPrompt, systemPrompt, useSearch } = req.body;
+// Calls the provider and, for templates with a response schema, validates the JSON with one
+// correction retry; both calls share the deadline. Resolves to { status, body, usage } with
+// usage summed over both calls.
+const runGeneration = async (provider, request, { deadline }) => {
+    const { responseSchema } = request;
+    const generated = await provider.generate(request, { deadline });
+    let usage = generated.usage || EMPTY_USAGE;
+    if (!generated.ok) {
+        return { status: generated.status, body: generated.body, usage };
+    }
 
-    if (!userPrompt) {
-        return res.status(400).json({ error: 'Missing userPrompt in request body.' });
+    // Free text
+    if (!responseSchema) {
+        return {
+            status: 200,
+            body: { text: generated.text, sources: generated.sources, citations: generated.citations || [] },
+            usage,
+        };
     }
 
-    // Build the base payload
-    const payload = {
-        contents: [{ parts: [{ text: userPrompt }] }],
-    };
+    // Structured output
+    let structured = parseStructuredText(generated.text, responseSchema);
+    let finalText = generated.text;
 
-    // Add optional system instruction if provided
-    if (systemPrompt) {
-        payload.systemInstruction = {
-            parts: [{ text: systemPrompt }]
+    if (structured.errors.length > 0) {
+        console.warn('Structured output failed validation. Retrying with correction prompt.', structured.errors);
+
+        const retried = await provider.generate({
+            ...request,
+            messages: [
+                ...request.messages,
+                { role: 'model', text: generated.text },
+                {
+                    role: 'user',
+                    text: `Your previous response did not match the required JSON schema:\n- ${structured.errors.join('\n- ')}\nReturn only corrected JSON that satisfies the schema.`,
+                },
+            ],
+        }, { deadline });
+        usage = addUsage(usage, retried.usage || EMPTY_USAGE);
+        if (!retried.ok) {
+            return { status: retried.status, body: retried.body, usage };
+        }
+
+        finalText = retried.text;
+        structured = parseStructuredText(finalText, responseSchema);
+    }
+
+    if (structured.errors.length > 0) {
+        return {
+            status: 422,
+            body: {
+                error: 'Generated JSON did not match the response schema.',
+                validationErrors: structured.errors,
+                text: finalText,
+            },
+            usage,
         };
     }
 
-    // Add Google Search grounding if requested
-    if (useSearch) {
-        payload.tools = [{ "google_search": {} }];
+    return {
+        status: 200,
+        body: { text: finalText, json: structured.value, sources: [], citations: [] },
+        usage,
+    };
+};
+
+// The core handler for Vercel Serverless Functions
+module.exports = async (req, res) => {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
     }
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${apiKey}`;
+    try {
+        // --- 1. Security Check: Session and Provider Configuration ---
+        const session = requireSession(req, res);
+        if (!session) return;
+
+        const provider = getProvider();
+        if (!provider.isConfigured()) {
+            console.error(`The "${provider.name}" AI provider is missing its credentials.`);
+            return res.status(500).json({ error: `Server configuration error: ${provider.name} credentials missing.` });
+        }
+
+        // --- 2. Input Validation Against the Prompt Template ---
+        const { templateId, userPrompt, stream } = req.body || {};
+
+        const customField = TEMPLATE_FIELDS.find(field => req.body?.[field] !== undefined);
+        if (customField) {
+            return res.status(400).json({ error: `${customField} is set by the prompt template and cannot be supplied.` });
+        }
+
+        const template = getPromptTemplate(templateId);
+        if (!template) {
+            return res.status(400).json({ error: 'Unknown or missing templateId.' });
+        }
+        if (!can(session, template.permission)) {
+            return res.status(403).json({ error: 'You do not have access to this prompt template.' });
+        }
+
+        const model = resolveModel(req.body.model);
+        if (!model) {
+            return res.status(400).json({ error: `model must be one of: ${getAllowedModels().join(', ')}.` });
+        }
 
-    // --- 3. API Call with Exponential Backoff ---
-    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-        try {
-            const fetchResponse = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
+        if (typeof userPrompt !== 'string' || !userPrompt.trim()) {
+            return res.status(400).json({ error: 'Missing userPrompt in request body.' });
+        }
+        if (userPrompt.length > template.maxPromptChars) {
+            return res.status(413).json({
+                error: `userPrompt must be at most ${template.maxPromptChars} characters for this template.`,
+                code: 'PROMPT_TOO_LONG',
+                limit: template.maxPromptChars,
             });
+        }
+        if (stream && !template.allowStream) {
+            return res.status(400).json({ error: 'This prompt template does not support streaming.' });
+        }
 
-            // If successful (HTTP 2xx), proceed
-            if (fetchResponse.ok) {
-                const result = await fetchResponse.json();
-                const candidate = result.candidates?.[0];
+        // --- 3. Usage Budget ---
+        const store = getStore();
+        const budgetViolation = await checkAiBudget(store, session, estimateTokens(template.systemPrompt + userPrompt));
+        if (budgetViolation) return sendLimitError(res, budgetViolation);
 
-                if (!candidate || !candidate.content?.parts?.[0]?.text) {
-                    // Handle cases where API returns OK but content is empty
-                    return res.status(500).json({ error: 'Generated content was empty or malformed.', result });
-                }
+        const startedAt = Date.now();
+        // Resolves to the stored usage entry, or null if it could not be written
+        const logUsage = (status, usage, cache) => recordAiUsage(store, {
+            caller: session.sub,
+            role: session.role,
+            feature: templateId,
+            provider: provider.name,
+            model,
+            promptChars: userPrompt.length,
+            usage,
+            latencyMs: Date.now() - startedAt,
+            status,
+            stream,
+            cache,
+        }).catch(error => {
+            console.error('Failed to record AI usage:', error.message);
+            return null;
+        });
 
-                const generatedText = candidate.content.parts[0].text;
-                let sources = [];
-
-                // Extract grounding sources if they exist
-                const groundingMetadata = candidate.groundingMetadata;
-                if (groundingMetadata && groundingMetadata.groundingAttributions) {
-                    sources = groundingMetadata.groundingAttributions
-                        .map(attribution => ({
-                            uri: attribution.web?.uri,
-                            title: attribution.web?.title,
-                        }))
-                        .filter(source => source.uri && source.title);
-                }
+        const { systemPrompt, responseSchema, useSearch } = template;
+        const request = {
+            model,
+            systemPrompt,
+            messages: [{ role: 'user', text: userPrompt }],
+            responseSchema,
+            useSearch,
+        };
 
-                // --- 4. Success Response ---
-                return res.status(200).json({
-                    text: generatedText,
-                    sources: sources,
-                });
-            }
+        // --- 4a. Streaming Mode (Server-Sent Events) ---
+        if (stream) {
+            const controller = new AbortController();
+            // Stop pulling from the model if the browser disconnects or cancels
+            res.on('close', () => {
+                if (!res.writableEnded) controller.abort();
+            });
 
-            // If status is not 2xx, check if it's a retryable error (e.g., 429 Rate Limit, 5xx)
-            if (fetchResponse.status === 429 || fetchResponse.status >= 500) {
-                console.warn(`Attempt ${attempt + 1}: Retrying due to status ${fetchResponse.status}.`);
-                // Calculate exponential backoff delay (2^attempt * 1000 ms)
-                const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-                if (attempt < MAX_RETRIES - 1) {
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            } else {
-                // Non-retryable error (e.g., 400 Bad Request)
-                const errorBody = await fetchResponse.json();
-                console.error(`Non-retryable API error: ${fetchResponse.status}`, errorBody);
-                return res.status(fetchResponse.status).json({
-                    error: `API call failed with status ${fetchResponse.status}`,
-                    details: errorBody,
-                });
+            const upstream = await provider.stream(request, { signal: controller.signal, deadline: getCallDeadline() });
+            if (!upstream.ok) {
+                await logUsage(upstream.status);
+                if (controller.signal.aborted) return res.end();
+                if (upstream.body.retryAfter) res.setHeader('Retry-After', String(upstream.body.retryAfter));
+                return res.status(upstream.status).json(upstream.body);
             }
 
-        } catch (error) {
-            console.error(`Attempt ${attempt + 1}: Fetch error occurred:`, error.message);
-            // Treat network/fetch errors as retryable
-            if (attempt < MAX_RETRIES - 1) {
-                const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                return res.status(500).json({ error: 'Failed to connect to the Gemini API after multiple retries.', details: error.message });
+            res.status(200);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache, no-transform');
+            res.setHeader('Connection', 'keep-alive');
+            // Streams always go to the model
+            res.setHeader('X-Cache', 'BYPASS');
+            res.flushHeaders?.();
+
+            try {
+                const { sources, citations, usage } = await relayStream(upstream.chunks, res);
+                const entry = await logUsage(200, usage);
+                writeEvent(res, 'done', { sources, citations, ...describeCall(entry) });
+            } catch (error) {
+                const timedOut = error.code === 'UPSTREAM_TIMEOUT';
+                await logUsage(controller.signal.aborted ? 499 : timedOut ? 504 : 502);
+                if (!controller.signal.aborted) {
+                    console.error('Streaming relay failed:', error.message);
+                    writeEvent(res, 'error', {
+                        error: timedOut ? 'The AI provider did not finish the response in time.' : 'Stream interrupted.',
+                        details: error.message,
+                    });
+                }
             }
+            return res.end();
         }
-    }
 
-    // Should only be reached if all retries failed
-    return res.status(500).json({ error: 'All API attempts failed.' });
+        // --- 4b. Provider Call, Cached and Shared Between Identical Requests ---
+        const { result, cache } = await withResponseCache(
+            store,
+            buildCacheKey(provider.name, request),
+            () => runGeneration(provider, request, { deadline: getCallDeadline() }),
+            { shouldCache: outcome => outcome.status === 200 },
+        );
+        res.setHeader('X-Cache', cache);
+        if (result.body?.retryAfter) res.setHeader('Retry-After', String(result.body.retryAfter));
+
+        // Only the call that reached the model spent tokens
+        const entry = await logUsage(result.status, cache === 'MISS' ? result.usage : EMPTY_USAGE, cache);
+        if (result.status !== 200) return res.status(result.status).json(result.body);
+        return res.status(200).json({ ...result.body, ...describeCall(entry) });
+
+    } catch (error) {
+        console.error('Generate route failed:', error);
+        // Once a stream has started the status line is gone; end the stream instead
+        if (res.headersSent) return res.end();
+        return res.status(500).json({ error: 'Failed to generate a response.', details: error.message });
+    }
 };
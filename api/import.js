@@ -0,0 +1,217 @@
+/**
+ * Vercel Serverless Function (Node.js) for bulk review imports (admin only).
+ *
+ *   POST /api/import  { format: 'csv'|'json', content, mapping?, dryRun?, filename? }
+ *
+ * `content` is the raw CSV text (first line = column names) or a JSON array of objects.
+ * `mapping` maps review fields to source columns ({ review_text: 'Comment', ... }); fields left
+ * out are matched to a column of the same name. Every row is validated against the product
+ * catalog, age ranges, regions and the 1-5 rating range, and the response carries a per-row
+ * error report (`row` is the 1-based data row, not counting the CSV header line).
+ *
+ * A dry run only validates. A real import is all-or-nothing: if any row fails, nothing is stored.
+ * Imported reviews have no author (hash_id is null) and derive their sentiment from the rating.
+ * Review text is screened with the same local rules as submitted reviews (no model call): PII is
+ * redacted, and rows with abusive language are stored as 'pending' for the moderation queue.
+ * CSV cells that /api/export guarded against formula evaluation (a leading ') are read back without
+ * the guard.
+ *
+ * File path: api/import.js
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./_lib/store');
+const { AGE_RANGES, REGIONS } = require('./_lib/catalog');
+const { listProducts } = require('./_lib/products');
+const { requirePermission } = require('./_lib/permissions');
+const { parseCsv, unguardCell } = require('./_lib/csv');
+const { screenReview } = require('./_lib/screening');
+const { logModerationEvent } = require('./_lib/moderation');
+const { getRatingSentiment } = require('./_lib/sentiment');
+
+const FORMATS = ['csv', 'json'];
+const IMPORT_FIELDS = ['product_name', 'rating', 'review_text', 'age_range', 'region', 'timestamp'];
+// Alternative column names picked up automatically, so files from /api/export load unchanged
+const FIELD_ALIASES = { product_name: ['product'] };
+const MAX_IMPORT_ROWS = 5000;
+
+// Turns the uploaded content into { columns, records } where each record maps column -> value
+const readRecords = (format, content) => {
+    if (format === 'csv') {
+        if (typeof content !== 'string') throw new Error('CSV content must be a string.');
+        const [header = [], ...rows] = parseCsv(content);
+        const columns = header.map(column => column.trim());
+        return {
+            columns,
+            records: rows.map(row => Object.fromEntries(columns.map((column, i) => [column, unguardCell(row[i] ?? '')]))),
+        };
+    }
+
+    const records = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+        throw new Error('JSON content must be an array of objects.');
+    }
+    return { columns: [...new Set(records.flatMap(record => Object.keys(record)))], records };
+};
+
+// Resolves the source column for every field: the requested one, else a same-named column or alias
+const resolveMapping = (columns, requested = {}) => {
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        if (requested[field]) {
+            if (!columns.includes(requested[field])) throw new Error(`Mapped column "${requested[field]}" for ${field} is not in the file.`);
+            mapping[field] = requested[field];
+            continue;
+        }
+        const candidates = [field, ...(FIELD_ALIASES[field] || [])];
+        mapping[field] = columns.find(column => candidates.includes(column.toLowerCase())) || null;
+    }
+    return mapping;
+};
+
+// Validates and screens one record. Resolves to { errors, review } where review is null when errors
+// is non-empty.
+const validateRecord = async (record, mapping, productsByName) => {
+    const errors = [];
+    const value = (field) => {
+        const raw = mapping[field] ? record[mapping[field]] : undefined;
+        return typeof raw === 'string' ? raw.trim() : raw;
+    };
+
+    const product = productsByName.get(String(value('product_name') ?? '').toLowerCase());
+    if (!product) errors.push(`Unknown product "${value('product_name') ?? ''}".`);
+
+    const rating = Number(value('rating'));
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) errors.push('rating must be an integer from 1 to 5.');
+
+    const reviewText = value('review_text');
+    if (typeof reviewText !== 'string' || !reviewText) errors.push('review_text must not be empty.');
+
+    if (!AGE_RANGES.includes(value('age_range'))) errors.push(`age_range must be one of: ${AGE_RANGES.join(', ')}.`);
+    if (!REGIONS.includes(value('region'))) errors.push(`region must be one of: ${REGIONS.join(', ')}.`);
+
+    const timestamp = value('timestamp');
+    // JSON files may carry epoch milliseconds instead of a date string
+    const postedAt = Number.isFinite(timestamp) ? new Date(timestamp).getTime() : Date.parse(timestamp);
+    if (Number.isNaN(postedAt)) errors.push('timestamp must be a valid date.');
+    else if (postedAt > Date.now()) errors.push('timestamp must not be in the future.');
+
+    if (errors.length > 0) return { errors, review: null };
+    const { text, screening } = await screenReview(reviewText, { useModel: false });
+    return {
+        errors,
+        review: {
+            id: crypto.randomUUID(),
+            hash_id: null,
+            product_id: product.id,
+            rating,
+            sentiment: getRatingSentiment(rating),
+            sentiment_source: 'rating',
+            sentiment_confidence: null,
+            topics: [],
+            review_text: text,
+            age_range: value('age_range'),
+            region: value('region'),
+            timestamp: new Date(postedAt).toISOString(),
+            status: screening.decision === 'hold' ? 'pending' : 'visible',
+            screening,
+        },
+    };
+};
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    try {
+        const session = requirePermission(req, res, 'admin:manage');
+        if (!session) return;
+
+        const { format, content, mapping: requestedMapping, dryRun = false, filename } = req.body || {};
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}.` });
+        }
+        if (requestedMapping !== undefined && (typeof requestedMapping !== 'object' || requestedMapping === null)) {
+            return res.status(400).json({ error: 'mapping must be an object of field -> column name.' });
+        }
+
+        // --- 1. Parse the file and resolve the column mapping ---
+        let parsed;
+        let mapping;
+        try {
+            parsed = readRecords(format, content);
+            mapping = resolveMapping(parsed.columns, requestedMapping);
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read the import file: ${error.message}` });
+        }
+        if (parsed.records.length === 0) {
+            return res.status(400).json({ error: 'The import file contains no rows.' });
+        }
+        if (parsed.records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.` });
+        }
+
+        const store = getStore();
+
+        // --- 2. Validate Every Row ---
+        const products = await listProducts(store);
+        // Archived products still accept imports: historical feedback predates the archiving
+        const productsByName = new Map(products.map(product => [product.name.toLowerCase(), product]));
+        const results = await Promise.all(parsed.records.map(record => validateRecord(record, mapping, productsByName)));
+        const rowErrors = results
+            .map((result, index) => ({ row: index + 1, errors: result.errors }))
+            .filter(result => result.errors.length > 0);
+
+        const report = {
+            dryRun: Boolean(dryRun),
+            columns: parsed.columns,
+            mapping,
+            unmappedFields: IMPORT_FIELDS.filter(field => !mapping[field]),
+            total: results.length,
+            valid: results.length - rowErrors.length,
+            invalid: rowErrors.length,
+            rowErrors,
+            held: results.filter(result => result.review?.status === 'pending').length,
+            imported: 0,
+        };
+
+        if (dryRun) {
+            return res.status(200).json(report);
+        }
+        if (rowErrors.length > 0) {
+            return res.status(422).json({ error: 'Some rows are invalid; nothing was imported.', ...report });
+        }
+
+        // --- 3. Store the Batch ---
+        const batchId = crypto.randomUUID();
+        const reviews = results.map(result => ({ ...result.review, import_id: batchId }));
+        await store.insertMany('reviews', reviews);
+        await store.insert('imports', {
+            id: batchId,
+            filename: typeof filename === 'string' ? filename.slice(0, 200) : null,
+            format,
+            count: reviews.length,
+            importedBy: session.sub,
+            createdAt: new Date().toISOString(),
+        });
+        for (const review of reviews.filter(r => r.status === 'pending')) {
+            await logModerationEvent(store, {
+                review,
+                action: 'screen',
+                reason: `Held by screening: ${review.screening.flags.join(', ')}`,
+                actor: 'screening',
+                actorRole: 'system',
+                fromStatus: null,
+                toStatus: 'pending',
+            });
+        }
+
+        return res.status(201).json({ ...report, imported: reviews.length, importId: batchId });
+
+    } catch (error) {
+        console.error('Import route failed:', error);
+        return res.status(500).json({ error: 'Failed to import reviews.', details: error.message });
+    }
+};
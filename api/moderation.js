@@ -0,0 +1,138 @@
+/**
+ * Vercel Serverless Function (Node.js) for the review moderation queue (moderators and admins).
+ *
+ *   GET  /api/moderation  -> { queue, log }: flagged, pending, hidden or reported reviews with their
+ *                            open reports and audit history, plus the most recent audit entries
+ *   POST /api/moderation  -> { reviewId, action: 'flag'|'hide'|'restore'|'delete', reason }
+ *
+ * Restoring a pending review (held back by screening) publishes it.
+ * Every action needs a reason and is written to the audit trail. Hiding, restoring or deleting a
+ * review resolves its open user reports; flagging leaves them open. Moderators only see and act
+ * on reviews for their own products.
+ *
+ * File path: api/moderation.js
+ */
+
+const { getStore } = require('./_lib/store');
+const { listProducts, attachProducts, loadVisibleReviews } = require('./_lib/products');
+const { requirePermission, canAccessProduct } = require('./_lib/permissions');
+const {
+    MODERATION_ACTIONS,
+    MAX_REASON_LENGTH,
+    getReviewStatus,
+    logModerationEvent,
+    resolveReports,
+} = require('./_lib/moderation');
+
+const MAX_LOG_ENTRIES = 100;
+
+// Status each action moves a review to (delete removes it instead)
+const TARGET_STATUS = { flag: 'flagged', hide: 'hidden', restore: 'visible', delete: null };
+
+// Returns an error message when the action makes no sense for the review's current state
+const checkTransition = (action, status, openReportCount) => {
+    if (action === 'flag' && status !== 'visible') return `Review is already ${status}.`;
+    if (action === 'hide' && status === 'hidden') return 'Review is already hidden.';
+    if (action === 'restore' && status === 'visible' && openReportCount === 0) return 'Review is already visible and has no open reports.';
+    return null;
+};
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+module.exports = async (req, res) => {
+    const store = getStore();
+
+    try {
+        // --- 1. Moderation Queue ---
+        if (req.method === 'GET') {
+            const session = requirePermission(req, res, 'reviews:moderate');
+            if (!session) return;
+
+            const { reviews } = await loadVisibleReviews(store, session);
+            const openReports = (await store.list('review_reports'))
+                .filter(report => !report.resolvedAt && canAccessProduct(session, report.productId));
+            const log = (await store.list('moderation_log'))
+                .filter(entry => canAccessProduct(session, entry.productId))
+                .sort(newestFirst);
+
+            const queue = reviews
+                .map(review => ({
+                    ...review,
+                    status: getReviewStatus(review),
+                    openReports: openReports
+                        .filter(report => report.reviewId === review.id)
+                        .map(({ id, reason, details, createdAt }) => ({ id, reason, details, createdAt })),
+                    history: log.filter(entry => entry.reviewId === review.id),
+                }))
+                .filter(item => item.status !== 'visible' || item.openReports.length > 0)
+                // Most recent activity first
+                .sort((a, b) => new Date(b.history[0]?.createdAt || b.timestamp) - new Date(a.history[0]?.createdAt || a.timestamp));
+
+            return res.status(200).json({ queue, log: log.slice(0, MAX_LOG_ENTRIES) });
+        }
+
+        // --- 2. Moderator Action ---
+        if (req.method === 'POST') {
+            const session = requirePermission(req, res, 'reviews:moderate');
+            if (!session) return;
+
+            const { reviewId, action, reason } = req.body || {};
+            if (!MODERATION_ACTIONS.includes(action)) {
+                return res.status(400).json({ error: `action must be one of: ${MODERATION_ACTIONS.join(', ')}.` });
+            }
+            if (typeof reason !== 'string' || !reason.trim()) {
+                return res.status(400).json({ error: 'A reason is required for every moderation action.' });
+            }
+            if (reason.length > MAX_REASON_LENGTH) {
+                return res.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters.` });
+            }
+
+            const stored = typeof reviewId === 'string' ? await store.get('reviews', reviewId) : null;
+            if (!stored) {
+                return res.status(404).json({ error: 'Review not found.' });
+            }
+            const products = await listProducts(store);
+            const [review] = attachProducts([stored], products);
+            if (!canAccessProduct(session, review.product_id)) {
+                return res.status(403).json({ error: 'You do not moderate this product.' });
+            }
+
+            const openReportCount = (await store.list('review_reports'))
+                .filter(report => report.reviewId === review.id && !report.resolvedAt).length;
+            const transitionError = checkTransition(action, getReviewStatus(review), openReportCount);
+            if (transitionError) {
+                return res.status(409).json({ error: transitionError });
+            }
+
+            const toStatus = TARGET_STATUS[action];
+            const entry = await logModerationEvent(store, {
+                review,
+                action,
+                reason: reason.trim(),
+                actor: session.sub,
+                actorRole: session.role,
+                toStatus,
+            });
+            if (action !== 'flag') await resolveReports(store, review.id, action);
+
+            if (action === 'delete') {
+                await store.remove('reviews', review.id);
+                return res.status(200).json({ review: null, entry });
+            }
+
+            const updated = await store.update('reviews', review.id, {
+                status: toStatus,
+                moderatedAt: entry.createdAt,
+                moderatedBy: session.sub,
+            });
+            return res.status(200).json({ review: attachProducts([updated], products)[0], entry });
+        }
+
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).end('Method Not Allowed');
+
+    } catch (error) {
+        console.error('Moderation route failed:', error);
+        return res.status(500).json({ error: 'Failed to access the moderation queue.', details: error.message });
+    }
+};
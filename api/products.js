@@ -0,0 +1,118 @@
+/**
+ * Vercel Serverless Function (Node.js) for the product catalog.
+ *
+ *   GET    /api/products          -> reviewers get active products; staff also get archived ones
+ *   POST   /api/products          -> create { name, description, category } (admin only)
+ *   PATCH  /api/products?id=<id>  -> update name, description, category or archived (admin only)
+ *   DELETE /api/products?id=<id>  -> delete a product that has no reviews (admin only); archive it otherwise
+ *
+ * File path: api/products.js
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./_lib/store');
+const { listProducts, attachProducts } = require('./_lib/products');
+const { requireSession } = require('./_lib/session');
+const { requirePermission, isStaff } = require('./_lib/permissions');
+
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'archived'];
+const MAX_FIELD_LENGTH = 120;
+
+// Returns an error message for the first invalid field, or null. `partial` allows missing fields (PATCH).
+const validateProduct = (fields, { partial = false } = {}) => {
+    for (const key of ['name', 'description', 'category']) {
+        if (partial && fields[key] === undefined) continue;
+        if (typeof fields[key] !== 'string' || (key === 'name' && !fields[key].trim())) return `${key} must be a${key === 'name' ? ' non-empty' : ''} string.`;
+        if (fields[key].length > MAX_FIELD_LENGTH) return `${key} must be at most ${MAX_FIELD_LENGTH} characters.`;
+    }
+    if (fields.archived !== undefined && typeof fields.archived !== 'boolean') return 'archived must be a boolean.';
+    return null;
+};
+
+const isNameTaken = (products, name, exceptId) => products.some(
+    product => product.id !== exceptId && product.name.toLowerCase() === name.trim().toLowerCase()
+);
+
+module.exports = async (req, res) => {
+    const store = getStore();
+
+    try {
+        // --- 1. List Products ---
+        if (req.method === 'GET') {
+            const session = requireSession(req, res);
+            if (!session) return;
+
+            const products = await listProducts(store);
+            return res.status(200).json({ products: isStaff(session) ? products : products.filter(product => !product.archived) });
+        }
+
+        if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+            res.setHeader('Allow', 'GET, POST, PATCH, DELETE');
+            return res.status(405).end('Method Not Allowed');
+        }
+
+        if (!requirePermission(req, res, 'admin:manage')) return;
+
+        const products = await listProducts(store);
+        const body = req.body || {};
+
+        // --- 2. Create Product ---
+        if (req.method === 'POST') {
+            const fields = { name: body.name, description: body.description || '', category: body.category || '' };
+            const validationError = validateProduct(fields);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+            if (isNameTaken(products, fields.name)) {
+                return res.status(409).json({ error: 'A product with this name already exists.' });
+            }
+
+            const now = new Date().toISOString();
+            const product = await store.insert('products', {
+                id: `prod-${crypto.randomUUID().slice(0, 8)}`,
+                name: fields.name.trim(),
+                description: fields.description.trim(),
+                category: fields.category.trim(),
+                archived: false,
+                createdAt: now,
+                updatedAt: now,
+            });
+            return res.status(201).json({ product });
+        }
+
+        const { id } = req.query;
+        if (!products.some(product => product.id === id)) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+
+        // --- 3. Update / Archive Product ---
+        if (req.method === 'PATCH') {
+            const patch = Object.fromEntries(EDITABLE_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+            const validationError = validateProduct(patch, { partial: true });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+            if (patch.name !== undefined && isNameTaken(products, patch.name, id)) {
+                return res.status(409).json({ error: 'A product with this name already exists.' });
+            }
+            ['name', 'description', 'category'].forEach(key => {
+                if (patch[key] !== undefined) patch[key] = patch[key].trim();
+            });
+
+            const product = await store.update('products', id, { ...patch, updatedAt: new Date().toISOString() });
+            return res.status(200).json({ product });
+        }
+
+        // --- 4. Delete Product ---
+        const reviews = attachProducts(await store.list('reviews'), products);
+        if (reviews.some(review => review.product_id === id)) {
+            return res.status(409).json({ error: 'This product has reviews. Archive it instead to keep its history.' });
+        }
+        await store.remove('products', id);
+        return res.status(204).end();
+
+    } catch (error) {
+        console.error('Products route failed:', error);
+        return res.status(500).json({ error: 'Failed to access the product catalog.', details: error.message });
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Vercel Serverless Function (Node.js) for user reports on reviews.
+ *
+ *   POST /api/reports  -> { reviewId, reason, details? } (requires a user session)
+ *
+ * A report flags a visible review for the moderation queue (see api/moderation.js). Each user can
+ * report a review once, and never their own.
+ *
+ * File path: api/reports.js
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./_lib/store');
+const { listProducts, attachProducts } = require('./_lib/products');
+const { requirePermission } = require('./_lib/permissions');
+const {
+    REPORT_REASONS,
+    MAX_REASON_LENGTH,
+    getReviewStatus,
+    isPublished,
+    logModerationEvent,
+} = require('./_lib/moderation');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    try {
+        // Reporting is part of the reviewer experience; staff use the moderation queue directly
+        const session = requirePermission(req, res, 'reviews:create');
+        if (!session) return;
+
+        const { reviewId, reason, details } = req.body || {};
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}.` });
+        }
+        if (details !== undefined && (typeof details !== 'string' || details.length > MAX_REASON_LENGTH)) {
+            return res.status(400).json({ error: `details must be a string of at most ${MAX_REASON_LENGTH} characters.` });
+        }
+
+        const store = getStore();
+
+        // --- 1. Find the Review ---
+        const stored = typeof reviewId === 'string' ? await store.get('reviews', reviewId) : null;
+        // Unpublished reviews are not part of the user's feed, so they cannot be reported either
+        if (!stored || !isPublished(stored)) {
+            return res.status(404).json({ error: 'Review not found.' });
+        }
+        if (stored.hash_id === session.sub) {
+            return res.status(400).json({ error: 'You cannot report your own review.' });
+        }
+        const [review] = attachProducts([stored], await listProducts(store));
+
+        const reports = await store.list('review_reports');
+        if (reports.some(report => report.reviewId === review.id && report.reporter === session.sub)) {
+            return res.status(409).json({ error: 'You have already reported this review.' });
+        }
+
+        // --- 2. Record the Report and Flag the Review ---
+        const report = await store.insert('review_reports', {
+            id: crypto.randomUUID(),
+            reviewId: review.id,
+            productId: review.product_id,
+            reporter: session.sub,
+            reason,
+            details: details?.trim() || null,
+            createdAt: new Date().toISOString(),
+            resolvedAt: null,
+            resolution: null,
+        });
+
+        const wasVisible = getReviewStatus(review) === 'visible';
+        await logModerationEvent(store, {
+            review,
+            action: 'report',
+            reason: report.details ? `${reason}: ${report.details}` : reason,
+            actor: session.sub,
+            actorRole: session.role,
+            toStatus: wasVisible ? 'flagged' : getReviewStatus(review),
+        });
+        if (wasVisible) {
+            await store.update('reviews', review.id, { status: 'flagged' });
+        }
+
+        return res.status(201).json({ report: { id: report.id, reviewId: report.reviewId, reason, createdAt: report.createdAt } });
+
+    } catch (error) {
+        console.error('Reports route failed:', error);
+        return res.status(500).json({ error: 'Failed to record the report.', details: error.message });
+    }
+};
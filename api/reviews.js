@@ -0,0 +1,136 @@
+/**
+ * Vercel Serverless Function (Node.js) for product reviews.
+ *
+ *   GET  /api/reviews  -> reviews visible to the session's role, newest first
+ *   POST /api/reviews  -> submit a review as the logged-in anonymous user (requires a user session)
+ *
+ * Reviews are stored with a product_id; responses also carry the product's current product_name.
+ * Submissions are checked against the quotas and rate limits in _lib/limits.js.
+ * Submitted text is screened first (see _lib/screening.js): PII is redacted, and borderline reviews
+ * are stored as 'pending' for the moderation queue instead of being published. Sentiment and topics
+ * are then classified here from the redacted text (see _lib/sentiment.js); any sentiment fields in
+ * the request body are ignored.
+ * Product moderators only receive reviews for their products. Reviewers get the public feed,
+ * which omits hidden reviews, other users' hash IDs and moderator details.
+ *
+ * File path: api/reviews.js
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./_lib/store');
+const { AGE_RANGES, REGIONS } = require('./_lib/catalog');
+const { listProducts, attachProducts, loadVisibleReviews } = require('./_lib/products');
+const { requirePermission, isStaff } = require('./_lib/permissions');
+const { logModerationEvent } = require('./_lib/moderation');
+const { screenReview } = require('./_lib/screening');
+const { classifySentiment } = require('./_lib/sentiment');
+const { getLimits, getClientIp, sendLimitError, consumeIpRateLimit, checkReviewQuota } = require('./_lib/limits');
+
+// Returns an error message for the first invalid field, or null if the review is valid
+const validateReview = (review, products) => {
+    const product = products.find(p => p.id === review.product_id);
+    if (!product) return 'Unknown product_id.';
+    // Archived products keep their history but accept no new reviews
+    if (product.archived) return 'This product is archived and no longer accepts reviews.';
+    if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) return 'rating must be an integer from 1 to 5.';
+    if (typeof review.review_text !== 'string' || !review.review_text.trim()) return 'review_text must not be empty.';
+    if (!AGE_RANGES.includes(review.age_range)) return 'Invalid age_range.';
+    if (!REGIONS.includes(review.region)) return 'Invalid region.';
+    return null;
+};
+
+module.exports = async (req, res) => {
+    const store = getStore();
+
+    try {
+        // --- 1. List Reviews ---
+        if (req.method === 'GET') {
+            const session = requirePermission(req, res, 'reviews:read');
+            if (!session) return;
+
+            const { reviews } = await loadVisibleReviews(store, session);
+            reviews.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+            if (isStaff(session)) {
+                return res.status(200).json({ reviews });
+            }
+            // is_own lets the client offer "report" on other people's reviews only
+            return res.status(200).json({
+                reviews: reviews.map(({ hash_id, moderatedBy, moderatedAt, screening, ...review }) => ({ ...review, is_own: hash_id === session.sub })),
+            });
+        }
+
+        // --- 2. Submit Review ---
+        if (req.method === 'POST') {
+            const session = requirePermission(req, res, 'reviews:create');
+            if (!session) return;
+
+            const body = req.body || {};
+            const products = await listProducts(store);
+            const validationError = validateReview(body, products);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            if (!await store.get('users', session.sub)) {
+                return res.status(404).json({ error: 'User hash not found. Please sign up first.' });
+            }
+
+            const userReviews = (await store.list('reviews')).filter(review => review.hash_id === session.sub);
+            const quotaViolation = checkReviewQuota(userReviews, body.product_id);
+            if (quotaViolation) return sendLimitError(res, quotaViolation);
+
+            // Counted last, so submissions rejected for other reasons do not use up the IP's allowance
+            const rateLimited = await consumeIpRateLimit(store, {
+                scope: 'review',
+                ip: getClientIp(req),
+                limit: getLimits().reviewsPerHourPerIp,
+                message: 'Too many reviews from this network. Please try again later.',
+            });
+            if (rateLimited) return sendLimitError(res, rateLimited);
+
+            const usageLog = { store, caller: session.sub, role: session.role };
+            const { text, screening } = await screenReview(body.review_text.trim(), { usageLog });
+            const held = screening.decision === 'hold';
+            // 'model' only when this server classified the text; never taken from the request
+            const sentiment = await classifySentiment(text, body.rating, { usageLog });
+
+            const review = await store.insert('reviews', {
+                id: crypto.randomUUID(),
+                // Authorship comes from the session, never from the request body
+                hash_id: session.sub,
+                product_id: body.product_id,
+                rating: body.rating,
+                ...sentiment,
+                review_text: text,
+                age_range: body.age_range,
+                region: body.region,
+                // The server owns the timestamp so clients cannot backdate reviews
+                timestamp: new Date().toISOString(),
+                status: held ? 'pending' : 'visible',
+                screening,
+            });
+
+            if (held) {
+                await logModerationEvent(store, {
+                    review,
+                    action: 'screen',
+                    reason: `Held by screening: ${screening.flags.join(', ')}`,
+                    actor: 'screening',
+                    actorRole: 'system',
+                    fromStatus: null,
+                    toStatus: 'pending',
+                });
+            }
+
+            return res.status(201).json({ review: attachProducts([review], products)[0] });
+        }
+
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).end('Method Not Allowed');
+
+    } catch (error) {
+        console.error('Reviews route failed:', error);
+        return res.status(500).json({ error: 'Failed to access the review store.', details: error.message });
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Vercel Serverless Function (Node.js) for per-product scorecards.
+ *
+ *   GET /api/scorecards?product=<id>[,<id>...]&<other dashboard filters>
+ *
+ * Returns one scorecard per requested product (rating histogram, sentiment split, region/age
+ * breakdown, NPS-style score and latest reviews). Omitting `product` returns every visible product.
+ *
+ * File path: api/scorecards.js
+ */
+
+const { getStore } = require('./_lib/store');
+const { loadVisibleReviews } = require('./_lib/products');
+const { requirePermission, canAccessProduct } = require('./_lib/permissions');
+const { parseReviewFilters, applyReviewFilters } = require('./_lib/reviewFilters');
+const { buildScorecard } = require('./_lib/metrics');
+const { AGE_RANGES, REGIONS } = require('./_lib/catalog');
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    try {
+        const session = requirePermission(req, res, 'dashboard:read');
+        if (!session) return;
+
+        const filters = parseReviewFilters(req.query);
+        const { reviews, products } = await loadVisibleReviews(getStore(), session);
+
+        const requestedIds = filters.products.length > 0
+            ? filters.products
+            : products.map(product => product.id).filter(id => canAccessProduct(session, id));
+        const unknownIds = requestedIds.filter(id => !products.some(product => product.id === id));
+        if (unknownIds.length > 0) {
+            return res.status(404).json({ error: `Unknown product: ${unknownIds.join(', ')}.` });
+        }
+        if (!requestedIds.every(id => canAccessProduct(session, id))) {
+            return res.status(403).json({ error: 'You do not have access to one or more of these products.' });
+        }
+
+        const matching = applyReviewFilters(reviews, filters);
+        const scorecards = requestedIds.map(id => {
+            const product = products.find(p => p.id === id);
+            return {
+                product: { id: product.id, name: product.name, category: product.category, archived: product.archived },
+                ...buildScorecard(matching.filter(r => r.product_id === id), { ageRanges: AGE_RANGES, regions: REGIONS }),
+            };
+        });
+
+        return res.status(200).json({ scorecards });
+
+    } catch (error) {
+        console.error('Scorecards route failed:', error);
+        return res.status(500).json({ error: 'Failed to compute scorecards.', details: error.message });
+    }
+};
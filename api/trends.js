@@ -0,0 +1,85 @@
+/**
+ * Vercel Serverless Function (Node.js) for dashboard trend data.
+ *
+ *   GET /api/trends?bucket=day|week|month&<dashboard filters>
+ *
+ * The period is the filter's from/to range, or the last 30 days when no range is set. The response
+ * holds a bucketed series of volume, average rating and sentiment mix (overall and per product),
+ * plus summaries of the period and the equally long period before it for metric-card deltas.
+ *
+ * File path: api/trends.js
+ */
+
+const { getStore } = require('./_lib/store');
+const { loadVisibleReviews } = require('./_lib/products');
+const { requirePermission } = require('./_lib/permissions');
+const { DAY_MS, parseReviewFilters, getDateBounds, applyReviewFilters } = require('./_lib/reviewFilters');
+const { BUCKETS, summarizeReviews, buildSeries } = require('./_lib/metrics');
+
+const DEFAULT_PERIOD_DAYS = 30;
+// Keeps a daily series over a multi-year range from producing an enormous response
+const MAX_BUCKETS = 400;
+
+const inRange = (reviews, fromMs, toMs) => reviews.filter(r => {
+    const postedAt = Date.parse(r.timestamp);
+    return postedAt >= fromMs && postedAt <= toMs;
+});
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).end('Method Not Allowed');
+    }
+
+    try {
+        const session = requirePermission(req, res, 'dashboard:read');
+        if (!session) return;
+
+        const bucket = req.query.bucket || 'week';
+        if (!BUCKETS.includes(bucket)) {
+            return res.status(400).json({ error: `bucket must be one of: ${BUCKETS.join(', ')}.` });
+        }
+
+        const filters = parseReviewFilters(req.query);
+        const { reviews, products } = await loadVisibleReviews(getStore(), session);
+        const matching = applyReviewFilters(reviews, filters, { ignoreDates: true });
+
+        // --- 1. Resolve the current and previous periods ---
+        const bounds = getDateBounds(filters);
+        const toMs = bounds.toMs ?? Date.now();
+        const fromMs = bounds.fromMs ?? toMs - DEFAULT_PERIOD_DAYS * DAY_MS + 1;
+        if (fromMs > toMs) {
+            return res.status(400).json({ error: '"from" must not be after "to".' });
+        }
+        const lengthMs = toMs - fromMs + 1;
+        const bucketMs = { day: 1, week: 7, month: 28 }[bucket] * DAY_MS;
+        if (lengthMs / bucketMs > MAX_BUCKETS) {
+            return res.status(400).json({ error: 'Date range is too long for this bucket size. Use a larger bucket.' });
+        }
+
+        const current = inRange(matching, fromMs, toMs);
+        const previous = inRange(matching, fromMs - lengthMs, fromMs - 1);
+
+        // --- 2. Series overall and per product ---
+        const byProduct = products
+            .filter(product => current.some(r => r.product_id === product.id))
+            .map(product => ({
+                productId: product.id,
+                name: product.name,
+                series: buildSeries(current.filter(r => r.product_id === product.id), bucket, fromMs, toMs),
+            }));
+
+        return res.status(200).json({
+            bucket,
+            period: { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString() },
+            previousPeriod: { from: new Date(fromMs - lengthMs).toISOString(), to: new Date(fromMs - 1).toISOString() },
+            series: buildSeries(current, bucket, fromMs, toMs),
+            byProduct,
+            summary: { current: summarizeReviews(current), previous: summarizeReviews(previous) },
+        });
+
+    } catch (error) {
+        console.error('Trends route failed:', error);
+        return res.status(500).json({ error: 'Failed to compute trends.', details: error.message });
+    }
+};
@@ -0,0 +1,136 @@
+/**
+ * Vercel Serverless Function (Node.js) for anonymous user records.
+ *
+ *   GET  /api/users  -> the logged-in user and their review count (requires a user session)
+ *   POST /api/users  -> register a new anonymous user { name, email, ageRange, password, recoveryCode? } and start a session
+ *
+ * Name and email are only used to derive the pseudonymous hash ID (see _lib/pseudonym.js) and are never stored.
+ * Password and recovery code hashes are stored on the user record but never returned.
+ *
+ * Users created before passwords existed have no passwordHash and cannot log in. Name and email are not
+ * secret, so such a record is only claimed with a one-time recovery code issued by an administrator (see
+ * _lib/recovery.js): the password is set, the pseudonym is migrated to the current key and the response is
+ * 200 with `claimed: true` instead of 201. A wrong or expired code, or one for a record that cannot be
+ * claimed, gets the same 400. Without a code, an existing record is answered with 409.
+ *
+ * File path: api/users.js
+ */
+
+const { getStore } = require('./_lib/store');
+const { AGE_RANGES } = require('./_lib/catalog');
+const { getLimits, getReviewLimits, getClientIp, sendLimitError, consumeIpRateLimit } = require('./_lib/limits');
+const { hashPassword } = require('./_lib/password');
+const { startSession, requireSession } = require('./_lib/session');
+const { derivePseudonym, findUserByPII, migrateUserPseudonym } = require('./_lib/pseudonym');
+const { verifyRecoveryCode } = require('./_lib/recovery');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const countReviewsForUser = async (store, hash) => {
+    const reviews = await store.list('reviews');
+    return reviews.filter(review => review.hash_id === hash).length;
+};
+
+// Strips credentials before a user record leaves the server
+const toPublicUser = ({ passwordHash, recovery, ...user }) => user;
+
+module.exports = async (req, res) => {
+    const store = getStore();
+
+    try {
+        // --- 1. Current User (Session Restore) ---
+        if (req.method === 'GET') {
+            const session = requireSession(req, res, ['user']);
+            if (!session) return;
+
+            const user = await store.get('users', session.sub);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+
+            return res.status(200).json({
+                user: toPublicUser(user),
+                reviewCount: await countReviewsForUser(store, user.hash),
+                reviewLimits: getReviewLimits(),
+            });
+        }
+
+        // --- 2. Registration (Signup) ---
+        if (req.method === 'POST') {
+            const { name, email, ageRange, password, recoveryCode } = req.body || {};
+
+            if (typeof name !== 'string' || typeof email !== 'string' || !name.trim() || !email.trim()) {
+                return res.status(400).json({ error: 'Missing name or email in request body.' });
+            }
+            if (!AGE_RANGES.includes(ageRange)) {
+                return res.status(400).json({ error: `Invalid ageRange. Expected one of: ${AGE_RANGES.join(', ')}.` });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+            }
+            if (recoveryCode !== undefined && typeof recoveryCode !== 'string') {
+                return res.status(400).json({ error: 'recoveryCode must be a string.' });
+            }
+            const isClaim = Boolean(recoveryCode?.trim());
+
+            // Checks every active key so a rotation cannot create a second account for the same person
+            const existing = await findUserByPII(store, name, email);
+            if (existing && !isClaim) {
+                return res.status(409).json({ error: 'You are already signed up. Please use the login option.' });
+            }
+
+            const { maxUsers, signupsPerHourPerIp } = getLimits();
+            const users = await store.list('users');
+            if (!isClaim && users.length >= maxUsers) {
+                return sendLimitError(res, { error: `User signup limit of ${maxUsers} reached.`, code: 'USER_LIMIT_REACHED', limit: maxUsers });
+            }
+
+            const rateLimited = await consumeIpRateLimit(store, {
+                scope: 'signup',
+                ip: getClientIp(req),
+                limit: signupsPerHourPerIp,
+                message: 'Too many signups from this network. Please try again later.',
+            });
+            if (rateLimited) return sendLimitError(res, rateLimited);
+
+            // Claim a record from before passwords existed; its age range and reviews are kept.
+            // Counted against the signup rate limit above, so codes cannot be guessed quickly.
+            if (isClaim) {
+                const isValid = await verifyRecoveryCode(existing?.user, recoveryCode);
+                if (!existing || existing.user.passwordHash || !isValid) {
+                    return res.status(400).json({ error: 'Invalid or expired recovery code.', code: 'INVALID_RECOVERY_CODE' });
+                }
+                const migrated = await migrateUserPseudonym(store, existing.user, name, email);
+                const user = await store.update('users', migrated.id, { passwordHash: await hashPassword(password), recovery: null });
+                const session = startSession(res, { sub: user.hash, role: 'user' });
+                return res.status(200).json({
+                    session,
+                    user: toPublicUser(user),
+                    reviewCount: await countReviewsForUser(store, user.hash),
+                    reviewLimits: getReviewLimits(),
+                    claimed: true,
+                });
+            }
+
+            const { hash, keyId } = derivePseudonym(name, email);
+            const user = await store.insert('users', {
+                id: hash,
+                hash,
+                pseudonymKeyId: keyId,
+                ageRange,
+                passwordHash: await hashPassword(password),
+                createdAt: new Date().toISOString(),
+            });
+
+            const session = startSession(res, { sub: hash, role: 'user' });
+            return res.status(201).json({ session, user: toPublicUser(user), reviewCount: 0, reviewLimits: getReviewLimits() });
+        }
+
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).end('Method Not Allowed');
+
+    } catch (error) {
+        console.error('Users route failed:', error);
+        return res.status(500).json({ error: 'Failed to access the user store.', details: error.message });
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Creates (or replaces) a staff account in the configured store and prints the matching
+ * ADMIN_ACCOUNTS entry for environments that configure accounts through env vars instead.
+ *
+ * Usage: node scripts/create-admin.js <username> <password> [viewer|moderator|admin] [prod-1|prod-2]
+ * The product id list only applies to moderators.
+ *
+ * File path: scripts/create-admin.js
+ */
+
+const { getStore } = require('../api/_lib/store');
+const { hashPassword } = require('../api/_lib/password');
+const { STAFF_ROLES } = require('../api/_lib/permissions');
+const { listProducts } = require('../api/_lib/products');
+
+const USAGE = 'Usage: node scripts/create-admin.js <username> <password> [viewer|moderator|admin] [prod-1|prod-2]';
+
+const createAdmin = async () => {
+    const [username, password, role = 'admin', productArg = ''] = process.argv.slice(2);
+    if (!username || !password || !STAFF_ROLES.includes(role)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const products = role === 'moderator' ? productArg.split('|').map(p => p.trim()).filter(Boolean) : [];
+    if (role === 'moderator' && products.length === 0) {
+        console.error('Moderators need at least one product.');
+        process.exit(1);
+    }
+
+    const store = getStore();
+    const catalogIds = new Set((await listProducts(store)).map(product => product.id));
+    const unknown = products.filter(id => !catalogIds.has(id));
+    if (unknown.length > 0) {
+        console.error(`Unknown product id(s): ${unknown.join(', ')}. Use the ids from /api/products, e.g. prod-1.`);
+        process.exit(1);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const account = { id: username, username, role, products, passwordHash, createdAt: new Date().toISOString() };
+
+    if (await store.get('admins', username)) {
+        await store.update('admins', username, account);
+    } else {
+        await store.insert('admins', account);
+    }
+
+    console.log(`${role} "${username}" saved to the store.`);
+    const envProducts = products.length > 0 ? `${products.join('|')}:` : '';
+    console.log(`ADMIN_ACCOUNTS entry: ${username}:${role}:${envProducts}${passwordHash}`);
+};
+
+createAdmin().catch(error => {
+    console.error('Creating admin failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * Issues a one-time recovery code for a user account that was created before passwords existed
+ * (see api/_lib/recovery.js). Only run it after confirming the person's identity out of band: the
+ * code lets whoever holds it set the account's password.
+ * Uses the same STORAGE_ADAPTER / DATA_FILE / PSEUDONYM_KEYS environment variables as the API routes.
+ *
+ * Usage: node scripts/issue-recovery-code.js "<name>" <email>
+ *
+ * File path: scripts/issue-recovery-code.js
+ */
+
+const { getStore } = require('../api/_lib/store');
+const { findUserByPII } = require('../api/_lib/pseudonym');
+const { RECOVERY_CODE_TTL_MS, issueRecoveryCode } = require('../api/_lib/recovery');
+
+const USAGE = 'Usage: node scripts/issue-recovery-code.js "<name>" <email>';
+
+const issueCode = async () => {
+    const [name, email] = process.argv.slice(2);
+    if (!name || !email) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const store = getStore();
+    const match = await findUserByPII(store, name, email);
+    if (!match) {
+        console.error('No user account matches that name and email.');
+        process.exit(1);
+    }
+    if (match.user.passwordHash) {
+        console.error('This account already has a password; recovery codes are only for accounts without one.');
+        process.exit(1);
+    }
+
+    const code = await issueRecoveryCode(store, match.user);
+    console.log(`Recovery code: ${code}`);
+    console.log(`Valid once, for ${RECOVERY_CODE_TTL_MS / 3600000} hours. The user enters it on the signup form with the same name and email.`);
+};
+
+issueCode().catch(error => {
+    console.error('Issuing the recovery code failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+/**
+ * Optional seed script that loads the original mock users and reviews into the configured store.
+ * Uses the same STORAGE_ADAPTER / DATA_FILE / PSEUDONYM_KEYS environment variables as the API routes.
+ *
+ * Seeded users log in with their name, email and SEED_USER_PASSWORD (default 'mycox-demo').
+ *
+ * Usage: DATA_FILE=./data/mycox-data.json node scripts/seed.js
+ *
+ * File path: scripts/seed.js
+ */
+
+const { getStore } = require('../api/_lib/store');
+const { hashPassword } = require('../api/_lib/password');
+const { derivePseudonym } = require('../api/_lib/pseudonym');
+const { listProducts } = require('../api/_lib/products');
+
+const SEED_USER_PASSWORD = process.env.SEED_USER_PASSWORD || 'mycox-demo';
+
+const testUsers = [
+    { name: 'Alice Smith', email: 'alice@test.com', ageRange: '25-34', region: 'NA' },
+    { name: 'Bob Jones', email: 'bob@test.com', ageRange: '45-54', region: 'EU' },
+    { name: 'Charlie Brown', email: 'charlie@test.com', ageRange: '<18', region: 'AP' },
+];
+
+// [user index, product id (see DEFAULT_PRODUCTS), rating, sentiment, review text, hours ago]
+const reviewData = [
+    // Alice's Reviews
+    [0, 'prod-1', 5, 'Positive', 'Connect Pro is blazing fast and seamless!', 1],
+    [0, 'prod-2', 3, 'Neutral', 'Edge Functions work, but the documentation is a bit sparse.', 2],
+    // Bob's Reviews
+    [1, 'prod-4', 1, 'Negative', 'Deploy System failed twice this week. Unreliable for production!', 3],
+    [1, 'prod-1', 5, 'Positive', 'Fantastic service! Highly recommend MyCox Connect Pro.', 4],
+    [1, 'prod-3', 3, 'Neutral', 'CDN speeds are okay, but not market-leading.', 5],
+    // Charlie's Review
+    [2, 'prod-4', 4, 'Positive', 'The deployment process is simple and intuitive.', 6],
+];
+
+const seed = async () => {
+    const store = getStore();
+
+    // 1. Default product catalog (bootstrapped on first read)
+    await listProducts(store);
+
+    // 2. Users (skipped if they already exist so the script can be re-run)
+    const users = testUsers.map(user => ({ ...user, ...derivePseudonym(user.name, user.email) }));
+    for (const user of users) {
+        if (await store.get('users', user.hash)) continue;
+        await store.insert('users', {
+            id: user.hash,
+            hash: user.hash,
+            pseudonymKeyId: user.keyId,
+            ageRange: user.ageRange,
+            passwordHash: await hashPassword(SEED_USER_PASSWORD),
+            createdAt: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString(),
+        });
+    }
+
+    // 3. Reviews (stable ids keep the script idempotent)
+    let inserted = 0;
+    for (const [index, [userIndex, productId, rating, sentiment, text, hoursAgo]] of reviewData.entries()) {
+        const id = `mock-${index + 1}`;
+        if (await store.get('reviews', id)) continue;
+        const user = users[userIndex];
+        await store.insert('reviews', {
+            id,
+            hash_id: user.hash,
+            product_id: productId,
+            rating,
+            sentiment,
+            sentiment_source: 'rating',
+            sentiment_confidence: null,
+            topics: [],
+            review_text: text,
+            age_range: user.ageRange,
+            region: user.region,
+            timestamp: new Date(Date.now() - hoursAgo * 3600000).toISOString(),
+        });
+        inserted++;
+    }
+
+    console.log(`Seeded ${users.length} users and ${inserted} new reviews.`);
+};
+
+seed().catch(error => {
+    console.error('Seeding failed:', error);
+    process.exit(1);
+});